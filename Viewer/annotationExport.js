@@ -0,0 +1,201 @@
+// annotationExport.js
+
+import { ObjectTracker, computeOrientedBoxes } from "./objectTracker.js";
+import { ParseCancelledError } from "./parserPool.js";
+import { createZip } from "./zip.js";
+
+// Decodes every frame of a sequence in order and fits tracked boxes to all
+// non-background labels. A few frames are decoded ahead, never the whole
+// sequence at once. Frames the streamer already holds are reused. Resolves
+// with null if isCancelled() turns true along the way.
+export async function collectSequenceObjects(
+  dataManager,
+  files,
+  {
+    fps,
+    getLoadedFrame = () => null,
+    onProgress = () => {},
+    isCancelled = () => false,
+  }
+) {
+  const labels = dataManager.labels;
+  const tracker = new ObjectTracker();
+  const lookahead = dataManager.parserPool.size;
+  const pending = new Map();
+  const load = (index) => {
+    if (index >= files.length || pending.has(index)) return;
+    const loaded = getLoadedFrame(index);
+    const promise = loaded
+      ? Promise.resolve(loaded)
+      : dataManager.parseFile(files[index], {
+          priority: 1000 + index, // Behind anything the viewer needs
+          tag: { export: true },
+        });
+    promise.catch(() => {}); // Awaited in order below
+    pending.set(index, promise);
+  };
+
+  const frames = [];
+  for (let i = 0; i < files.length; i++) {
+    if (isCancelled()) return null;
+    for (let k = 0; k < lookahead; k++) load(i + k);
+    let frame = null;
+    try {
+      frame = await pending.get(i);
+    } catch (error) {
+      if (error instanceof ParseCancelledError) throw error;
+      // Like playback, one bad file leaves a gap instead of failing the export
+      console.error(`Failed to load frame ${files[i].name}:`, error);
+    }
+    pending.delete(i);
+    const boxes = frame
+      ? computeOrientedBoxes(frame, (id) => !labels.isBackground(id))
+      : [];
+    const objects = tracker.update(i, boxes, fps).map((object) => {
+      const label = labels.getName(object.labelId);
+      const category = labels.taxonomy && labels.taxonomy.getClass(label);
+      return { ...object, label, category: category || label };
+    });
+    frames.push({ index: i, file: files[i].name, objects });
+    onProgress((i + 1) / files.length);
+  }
+  return frames;
+}
+
+// One document with every frame and object, in viewer (y-up) coordinates
+export function formatJSON(scene, frames, fps) {
+  const output = {
+    scene,
+    fps,
+    coordinateSystem: "y-up; size along the box's local x, y, z; yaw about +y",
+    frames: frames.map(({ index, file, objects }) => ({
+      frame: index,
+      file,
+      objects: objects.map((object) => ({
+        trackId: object.trackId,
+        label: object.label,
+        category: object.category,
+        center: object.center,
+        size: object.size,
+        yaw: object.yaw,
+        pointCount: object.pointCount,
+        velocity: object.velocity,
+      })),
+    })),
+  };
+  return new Blob([JSON.stringify(output, null, 2)], {
+    type: "application/json",
+  });
+}
+
+// KITTI object labels (label_2/, one file per frame) and tracking labels
+// (label_02/0000.txt, with frame and track ids). Positions are mapped to
+// KITTI's camera frame (y down), with the location at the bottom center of
+// the box. There is no image, so truncation, occlusion, alpha and the 2D box
+// are written as unknown.
+export function formatKITTI(frames) {
+  const toKITTI = (object) => {
+    const [length, height, width] = object.size;
+    const [x, y, z] = object.center;
+    const values = [height, width, length, x, -(y - height / 2), z, object.yaw];
+    return [
+      object.category.replace(/\s+/g, "_"),
+      "0.00 0 -10.00 -1.00 -1.00 -1.00 -1.00",
+      ...values.map((v) => v.toFixed(2)),
+    ].join(" ");
+  };
+  const toText = (lines) => lines.map((line) => `${line}\n`).join("");
+
+  const entries = frames.map(({ index, objects }) => ({
+    name: `label_2/${String(index).padStart(6, "0")}.txt`,
+    data: toText(objects.map(toKITTI)),
+  }));
+  const tracking = frames.flatMap(({ index, objects }) =>
+    objects.map((object) => `${index} ${object.trackId} ${toKITTI(object)}`)
+  );
+  entries.push({ name: "label_02/0000.txt", data: toText(tracking) });
+  return createZip(entries);
+}
+
+// sample, instance, category and sample_annotation tables as in nuScenes,
+// in its z-up frame. Tokens are derived from the scene, frame and track so
+// repeated exports line up.
+export function formatNuScenes(scene, frames, fps) {
+  const sceneToken = [scene.room, scene.scene, scene.seed, scene.promptName]
+    .join("_")
+    .replace(/\s+/g, "_");
+  const sampleToken = (index) => `${sceneToken}_${index}`;
+  const instanceToken = (trackId) => `${sceneToken}_track${trackId}`;
+  const annotationToken = (index, trackId) =>
+    `${sampleToken(index)}_${trackId}`;
+
+  const samples = frames.map(({ index }) => ({
+    token: sampleToken(index),
+    timestamp: Math.round((index / fps) * 1e6),
+    scene_token: sceneToken,
+    prev: index > 0 ? sampleToken(index - 1) : "",
+    next: index < frames.length - 1 ? sampleToken(index + 1) : "",
+  }));
+
+  const annotations = [];
+  const instances = new Map(); // track id -> instance record
+  const categories = new Map(); // name -> category record
+  const lastSeen = new Map(); // track id -> previous annotation
+
+  for (const { index, objects } of frames) {
+    for (const object of objects) {
+      if (!categories.has(object.category)) {
+        categories.set(object.category, {
+          token: `category_${object.category}`,
+          name: object.category,
+          description: "",
+        });
+      }
+      const token = annotationToken(index, object.trackId);
+      let instance = instances.get(object.trackId);
+      if (!instance) {
+        instance = {
+          token: instanceToken(object.trackId),
+          category_token: categories.get(object.category).token,
+          nbr_annotations: 0,
+          first_annotation_token: token,
+          last_annotation_token: token,
+        };
+        instances.set(object.trackId, instance);
+      }
+      instance.nbr_annotations++;
+      instance.last_annotation_token = token;
+
+      // y-up to z-up swaps y and z; heading turns with the handedness
+      const [x, y, z] = object.center;
+      const [length, height, width] = object.size;
+      const heading = -object.yaw;
+      const annotation = {
+        token,
+        sample_token: sampleToken(index),
+        instance_token: instance.token,
+        translation: [x, z, y],
+        size: [width, length, height],
+        rotation: [Math.cos(heading / 2), 0, 0, Math.sin(heading / 2)],
+        num_lidar_pts: object.pointCount,
+        prev: "",
+        next: "",
+      };
+      const previous = lastSeen.get(object.trackId);
+      if (previous) {
+        previous.next = token;
+        annotation.prev = previous.token;
+      }
+      lastSeen.set(object.trackId, annotation);
+      annotations.push(annotation);
+    }
+  }
+
+  const table = (rows) => JSON.stringify(rows, null, 2);
+  return createZip([
+    { name: "sample.json", data: table(samples) },
+    { name: "instance.json", data: table([...instances.values()]) },
+    { name: "category.json", data: table([...categories.values()]) },
+    { name: "sample_annotation.json", data: table(annotations) },
+  ]);
+}
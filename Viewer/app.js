@@ -1,6 +1,37 @@
 import { DataManager } from "./dataManager.js";
 import { Viewer3D } from "./viewer3D.js";
 import { UIManager } from "./uiManager.js";
+import { ParseCancelledError } from "./parserPool.js";
+import { MotionCancelledError } from "./motionAnalyzer.js";
+import { DEFAULT_MEMORY_BUDGET_MB } from "./frameStreamer.js";
+import {
+  ObjectTracker,
+  computeLabelCentroid,
+  computeOrientedBoxes,
+} from "./objectTracker.js";
+import { CameraBookmarks } from "./cameraBookmarks.js";
+import { WebMRecorder, blobToBytes } from "./capture.js";
+import { createZip } from "./zip.js";
+import {
+  collectSequenceObjects,
+  formatJSON,
+  formatKITTI,
+  formatNuScenes,
+} from "./annotationExport.js";
+import {
+  MEASUREMENT_POINTS,
+  MEASUREMENT_NAMES,
+  fitFloorPlane,
+  projectOntoPlane,
+  computeMeasurement,
+  formatMeasurement,
+} from "./measurements.js";
+import { buildTrails, framesCorrespond } from "./motion.js";
+import { findCeilingHeight } from "./clipping.js";
+
+const MAX_PLAYBACK_STEP = 0.25; // Seconds; longer gaps (e.g. a hidden tab) are cut short
+// Color modes that need per-point values from here, see getPointValues
+const VALUE_COLOR_MODES = new Set(["speed", "clearance", "change"]);
 
 class App {
   constructor() {
@@ -8,22 +39,55 @@ class App {
     this.viewer = new Viewer3D(document.getElementById("canvas-container"));
     this.ui = new UIManager();
 
-    this.frames = [];
+    this.streamer = null;
+    this.currentFrameData = null;
     this.staticFrameData = null;
     this.currentSceneData = null;
+    this.sceneLoadId = 0;
+    this.memoryBudgetMB = DEFAULT_MEMORY_BUDGET_MB;
+    this.timelineBufferUpdatePending = false;
+    this.staticLabelCounts = new Uint32Array(0);
+    this.labelFilter = { hidden: new Set(), solo: null }; // By label id
+    this.labelMaskSize = 0;
+    this.tracker = new ObjectTracker();
+    this.currentObjects = [];
+    this.isExporting = false;
+    this.pins = []; // Pinned point picks, see describePick
+    this.isInspecting = false;
+    this.isMeasuring = false;
+    this.measureType = "distance";
+    this.measurements = []; // { type, anchors }
+    this.pendingAnchors = []; // Anchors of the measurement being placed
+    this.floorPlane = null; // Fitted to the static scene's floor points
+    this.cameraViews = new CameraBookmarks();
+    this.isFollowingPath = false;
+    this.isFollowing = false;
+    this.followLabelId = null; // null follows the character label
+    this.captureOptions = { scale: 1, transparent: false };
+    this.recording = null; // { cancelled } while a sequence is recorded
+    this.comparison = null; // Second scene, see loadComparison
+    this.comparisonMode = "split";
+    this.isShowingTrails = false;
+    this.trails = null; // Per tracked object, once computed for the scene
+    this.trailsPending = null; // Promise while the sequence is decoded
+    this.ghostCount = 0; // Earlier frames drawn faded behind the current one
+    this.ghostFrames = []; // The frames shown as ghosts, nearest first
 
     this.state = {
       currentFrame: 0,
       isPlaying: false,
       fps: 10,
       speed: 1.0,
-      colorMode: "label", // 'label', 'rgb', or 'normal'
+      colorMode: "label", // A key of COLOR_MODES in pointRendering.js
     };
 
-    this.frameInterval = null;
+    this.playback = null; // { playhead } while the render loop advances frames
+    this.interpolate = false; // Blend positions between whole frames
     this.lastRenderTime = 0;
 
     this.bindEventListeners();
+    this.ui.setCacheLimit(this.dataManager.getCacheLimit());
+    this.refreshCacheUsage();
     this.animate();
   }
 
@@ -31,6 +95,13 @@ class App {
     // Data related events
     this.ui.on("folder-upload", (files) => this.loadDataset(files));
     this.ui.on("tree-node-select", (path) => this.loadScene(path));
+    this.ui.on("tree-node-compare", (path) => this.loadComparison(path));
+    this.ui.on("comparison-mode-change", (mode) => {
+      this.comparisonMode = mode;
+      if (this.comparison) this.viewer.setComparisonMode(mode);
+    });
+    this.ui.on("comparison-close", () => this.closeComparison());
+    this.ui.on("taxonomy-upload", (file) => this.loadTaxonomy(file));
 
     // Playback controls
     this.ui.on("play-pause", () => this.togglePlayback());
@@ -39,23 +110,85 @@ class App {
     this.ui.on("seek", (frame) => this.seekToFrame(frame));
     this.ui.on("fps-change", (fps) => {
       this.state.fps = fps;
-      if (this.state.isPlaying) this.startPlayback();
+      if (this.state.colorMode === "speed") this.updatePointColors();
       this.updateUITimeLabels();
     });
-    this.ui.on("speed-change", (speed) => {
-      this.state.speed = speed;
-      if (this.state.isPlaying) this.startPlayback();
+    this.ui.on("speed-change", (speed) => (this.state.speed = speed));
+    this.ui.on("interpolation-toggle", (enabled) => {
+      this.interpolate = enabled;
+      if (!enabled) this.viewer.blendDynamicFrame(null, 0);
+    });
+    this.ui.on("point-style-change", (style) =>
+      this.viewer.setPointStyle(style)
+    );
+    this.ui.on("point-budget-change", (budget) =>
+      this.viewer.setPointBudget(budget)
+    );
+    this.ui.on("memory-budget-change", (megabytes) => {
+      this.memoryBudgetMB = megabytes;
+      this.applyMemoryBudget();
+    });
+    this.ui.on("cache-limit-change", async (megabytes) => {
+      await this.dataManager.setCacheLimit(megabytes);
+      this.refreshCacheUsage();
     });
+    this.ui.on("clear-cache", async () => {
+      await this.dataManager.clearCache();
+      this.refreshCacheUsage();
+    });
+    this.ui.on("export-annotations", (format) =>
+      this.exportAnnotations(format)
+    );
 
     // Viewer settings
+    this.ui.on("capture-options-change", (options) =>
+      Object.assign(this.captureOptions, options)
+    );
+    this.ui.on("screenshot", () => this.takeScreenshot());
+    this.ui.on("record-sequence", (format) => this.recordSequence(format));
+    this.ui.on("recording-cancel", () => {
+      if (this.recording) this.recording.cancelled = true;
+    });
     this.ui.on("point-size-change", (size) =>
       this.viewer.updatePointSize(size)
     );
-    this.ui.on("reset-view", () => this.viewer.resetView());
+    this.ui.on("reset-view", () => this.resetView());
+    this.ui.on("navigation-mode-change", (mode) =>
+      this.viewer.setNavigationMode(mode)
+    );
+    this.ui.on("navigation-speed-change", (speeds) =>
+      this.viewer.setNavigationSpeeds(speeds)
+    );
     this.ui.on("color-mode-toggle", (mode) => {
       this.state.colorMode = mode;
       this.updatePointColors();
     });
+    this.ui.on("colormap-change", (name) => this.viewer.setColormap(name));
+    this.ui.on("height-range-change", (range) => {
+      this.viewer.setHeightRange(range);
+      this.ui.updateHeightRange(this.viewer.getHeightRange());
+    });
+    this.ui.on("section-box-toggle", (enabled) => {
+      this.viewer.setSectionBox(enabled);
+      this.ui.setSectionBoxActive(this.viewer.hasSectionBox());
+    });
+    this.ui.on("clip-plane-add", (side) => this.viewer.addClipPlane(side));
+    this.ui.on("remove-ceiling", () => this.removeCeiling());
+    this.ui.on("clipping-clear", () => {
+      this.viewer.clearClipping();
+      this.ui.setSectionBoxActive(false);
+    });
+    this.ui.on("clip-gizmos-toggle", (visible) =>
+      this.viewer.setClippingGizmosVisible(visible)
+    );
+    this.ui.on("trails-toggle", () =>
+      this.setShowingTrails(!this.isShowingTrails)
+    );
+    this.ui.on("ghost-count-change", (count) => {
+      this.ghostCount = count;
+      if (this.streamer) this.streamer.setKeepBehind(count);
+      this.updateGhosts();
+    });
     this.ui.on("wireframe-toggle", (show) => this.viewer.toggleWireframe(show));
     this.ui.on("focus-point-toggle", (show) =>
       this.viewer.toggleFocusPoint(show)
@@ -64,6 +197,147 @@ class App {
       this.viewer.setBackgroundColor(color)
     );
 
+    // Point inspection
+    this.ui.on("inspect-toggle", (enabled) => {
+      this.isInspecting = enabled;
+      this.updatePicking();
+      if (!enabled) this.ui.hidePickTooltip();
+    });
+    this.viewer.onPointHover = (pick, event) => {
+      const info = this.describePick(pick);
+      this.viewer.setHoverMarker(info ? info.position : null);
+      if (info && this.isInspecting)
+        this.ui.showPickTooltip(info, event.clientX, event.clientY);
+      else this.ui.hidePickTooltip();
+    };
+    this.viewer.onPointClick = (pick) => {
+      const info = this.describePick(pick);
+      if (!info) return;
+      if (this.isMeasuring) {
+        this.addMeasurementAnchor(info);
+      } else {
+        this.pins.push(info);
+        this.updatePins();
+      }
+    };
+    this.ui.on("pin-remove", (index) => {
+      this.pins.splice(index, 1);
+      this.updatePins();
+    });
+    this.ui.on("pins-clear", () => {
+      this.pins = [];
+      this.updatePins();
+    });
+
+    // Measurements
+    this.ui.on("measure-toggle", (enabled) => {
+      this.isMeasuring = enabled;
+      this.pendingAnchors = [];
+      this.updatePicking();
+      this.updateMeasurements();
+    });
+    this.ui.on("measure-type-change", (type) => {
+      this.measureType = type;
+      this.pendingAnchors = [];
+      this.updateMeasurements();
+    });
+    this.ui.on("measurement-remove", (index) => {
+      this.measurements.splice(index, 1);
+      this.updateMeasurements();
+    });
+    this.ui.on("measurements-clear", () => {
+      this.measurements = [];
+      this.pendingAnchors = [];
+      this.updateMeasurements();
+    });
+    this.ui.on("measurements-export", () => this.exportMeasurements());
+
+    // Camera views and path
+    this.ui.on("view-save", (name) => {
+      if (!this.currentSceneData) return;
+      const views = this.cameraViews.views;
+      let n = views.length + 1;
+      while (!name && views.some((v) => v.name === `View ${n}`)) n++;
+      this.cameraViews.saveView({
+        name: name || `View ${n}`,
+        ...this.viewer.getCameraView(),
+      });
+      this.updateCameraViews();
+    });
+    this.ui.on("view-recall", (index) => {
+      const view = this.cameraViews.views[index];
+      if (!view) return;
+      this.setFollowingPath(false); // It would take the camera right back
+      this.viewer.setCameraView(view);
+    });
+    this.ui.on("view-remove", (index) => {
+      this.cameraViews.removeView(index);
+      this.updateCameraViews();
+    });
+    this.ui.on("view-keyframe", (index) => {
+      this.cameraViews.setKeyframe(this.state.currentFrame, index);
+      this.updateCameraViews();
+      this.applyCameraPath();
+    });
+    this.ui.on("keyframe-remove", (index) => {
+      this.cameraViews.removeKeyframe(index);
+      this.updateCameraViews();
+      this.applyCameraPath();
+    });
+    this.ui.on("camera-path-toggle", (enabled) =>
+      this.setFollowingPath(enabled)
+    );
+    this.ui.on("views-export", () => {
+      if (!this.currentSceneData) return;
+      const { room, scene } = this.currentSceneData;
+      this.ui.downloadFile(
+        new Blob([JSON.stringify(this.cameraViews, null, 2)], {
+          type: "application/json",
+        }),
+        `${room}_${scene}_views.json`
+      );
+    });
+    this.ui.on("views-import", (file) => this.importCameraViews(file));
+
+    // Follow camera
+    this.ui.on("follow-toggle", (enabled) => this.setFollowing(enabled, null));
+    this.ui.on("label-follow-toggle", (id) =>
+      this.setFollowing(
+        !(this.isFollowing && this.getFollowedLabel() === id),
+        id
+      )
+    );
+    this.ui.on("follow-options-change", (options) =>
+      this.viewer.setFollowOptions(options)
+    );
+
+    // Label legend
+    this.ui.on("label-color-change", (id, color) => {
+      this.dataManager.setLabelColor(id, color);
+      this.updateLabelColors();
+      this.updateObjects();
+      this.updateTrails();
+    });
+    this.ui.on("label-colors-reset", () => {
+      this.dataManager.resetLabelColors();
+      this.updateLabelColors();
+      this.updateObjects();
+      this.updateTrails();
+      this.updateLegend();
+    });
+    this.ui.on("label-visibility-toggle", (id) =>
+      this.toggleLabelVisibility(id)
+    );
+    this.ui.on("label-solo-toggle", (id) => {
+      const filter = this.labelFilter;
+      filter.solo = filter.solo === id ? null : id;
+      this.applyLabelFilter();
+    });
+    this.ui.on("label-show-all", () => {
+      this.labelFilter = { hidden: new Set(), solo: null };
+      this.applyLabelFilter();
+    });
+
     // Window/Layout events
     window.addEventListener("resize", () => this.viewer.updateCameraAspect());
     this.ui.on("resize-view", () => this.viewer.updateCameraAspect());
@@ -74,8 +348,16 @@ class App {
     this.ui.toggleLoading(true, "Building dataset structure...");
     try {
       const structure = await this.dataManager.buildDatasetStructure(files);
+      // Label ids start over with every dataset, so the open scene goes too
+      this.closeScene();
+      this.labelFilter = { hidden: new Set(), solo: null };
+      this.followLabelId = null;
+      this.applyLabelFilter();
       this.ui.renderTree(structure);
       this.ui.updateBreadcrumb("Dataset loaded - select a scene");
+      this.ui.updateTaxonomyName(null);
+      if (this.dataManager.taxonomyFile)
+        await this.loadTaxonomy(this.dataManager.taxonomyFile);
     } catch (error) {
       console.error("Error loading dataset:", error);
       this.ui.updateBreadcrumb("Error loading dataset.", true);
@@ -84,83 +366,918 @@ class App {
     }
   }
 
-  async loadScene(path) {
+  async loadTaxonomy(file) {
+    try {
+      await this.dataManager.loadTaxonomy(file);
+      this.ui.updateTaxonomyName(file.name);
+    } catch (error) {
+      console.error("Error loading label taxonomy:", error);
+      this.ui.updateBreadcrumb(
+        `Error loading ${file.name}: ${error.message}`,
+        true
+      );
+      return;
+    }
+    // Colors, background boxes, the object count and the floor all follow
+    // the taxonomy
+    this.applyLabelFilter();
+    this.updateFloorPlane();
+  }
+
+  async importCameraViews(file) {
+    if (!this.currentSceneData) return;
+    try {
+      await this.cameraViews.importFile(file);
+    } catch (error) {
+      console.error("Error importing camera views:", error);
+      this.ui.updateBreadcrumb(
+        `Error loading ${file.name}: ${error.message}`,
+        true
+      );
+      return;
+    }
+    this.updateCameraViews();
+    this.applyCameraPath();
+  }
+
+  // Stops loading and playback and empties the viewer
+  closeScene() {
+    this.sceneLoadId++;
+    if (this.streamer) this.streamer.dispose();
+    this.streamer = null;
+    this.dataManager.cancelLoading();
     this.stopPlayback();
+    this.currentSceneData = null;
+    this.currentFrameData = null;
+    this.staticFrameData = null;
+    this.staticLabelCounts = new Uint32Array(0);
+    this.state.currentFrame = 0;
+    this.tracker.reset();
+    this.currentObjects = [];
+    this.viewer.clearScene();
+    this.ghostFrames = [];
+    this.ui.setSectionBoxActive(false);
+    this.viewer.setHoverMarker(null);
+    this.ui.hidePickTooltip();
+    this.pins = [];
+    this.updatePins();
+    this.floorPlane = null;
+    this.viewer.setFloorPlane(null);
+    this.measurements = [];
+    this.pendingAnchors = [];
+    this.updateMeasurements();
+    this.cameraViews.clear();
+    this.updateCameraViews();
+    this.viewer.setFollowPoint(null);
+    this.closeComparison();
+    this.trails = null;
+    this.trailsPending = null;
+  }
+
+  // Two open scenes share the budget
+  getStreamerBudget() {
+    return this.comparison ? this.memoryBudgetMB / 2 : this.memoryBudgetMB;
+  }
+
+  applyMemoryBudget() {
+    const budget = this.getStreamerBudget();
+    if (this.streamer) this.streamer.setMemoryBudget(budget);
+    if (this.comparison) this.comparison.streamer.setMemoryBudget(budget);
+  }
+
+  async loadScene(path) {
+    // A newer selection supersedes whatever is still being parsed
+    this.closeScene();
+    const loadId = this.sceneLoadId;
     this.ui.toggleLoading(true, `Loading scene: ${path[path.length - 1]}`);
 
     this.currentSceneData = this.dataManager.getSceneData(path);
+    const { room, scene } = this.currentSceneData;
+    // Views are shared by every seed and prompt of a scene
+    this.cameraViews.load(`${this.dataManager.datasetName}/${room}/${scene}`);
+    this.updateCameraViews();
 
     // Lazy load description
     await this.dataManager.loadDescriptionForScene(path);
+    if (loadId !== this.sceneLoadId) return;
     this.ui.updateTreeDescription(
       path,
       this.currentSceneData.prompt.description
     );
 
-    // Load point cloud data via worker
-    const { frames, staticFrame } = await this.dataManager.loadPointCloudData(
-      this.currentSceneData
+    // Frames are decoded on demand around the current frame
+    this.streamer = this.dataManager.createFrameStreamer(
+      this.currentSceneData,
+      {
+        memoryBudgetMB: this.getStreamerBudget(),
+        onChange: () => this.scheduleTimelineBufferUpdate(),
+      }
     );
-    this.frames = frames;
+    this.streamer.setKeepBehind(this.ghostCount);
+    if (this.streamer.frameCount > 0) this.streamer.setCurrentFrame(0);
+
+    // Playback can start as soon as the static scene and first frame arrive
+    let staticFrame, firstFrame;
+    try {
+      [staticFrame, firstFrame] = await Promise.all([
+        this.dataManager.loadStaticCloud(this.currentSceneData, (progress) => {
+          if (loadId !== this.sceneLoadId) return;
+          this.ui.toggleLoading(
+            true,
+            `Loading static scene: ${Math.round(progress * 100)}%`
+          );
+        }),
+        this.streamer.frameCount > 0 ? this.streamer.getFrame(0) : null,
+      ]);
+    } catch (error) {
+      if (error instanceof ParseCancelledError) return;
+      throw error;
+    }
+    if (loadId !== this.sceneLoadId) return;
     this.staticFrameData = staticFrame;
+    this.staticLabelCounts = this.dataManager.countLabels(staticFrame);
+    this.updateFloorPlane();
 
     // Update 3D viewer
-    this.viewer.clearScene();
     if (this.staticFrameData) {
       this.viewer.addStaticPoints(this.staticFrameData);
     }
-
-    this.state.currentFrame = 0;
-    if (this.frames.length > 0) {
-      this.seekToFrame(0);
-    } else {
-      this.updateUI();
-    }
-    this.updatePointColors();
-    this.viewer.resetView();
+    this.showFrame(firstFrame);
+    this.resetView();
+    this.applyCameraPath();
 
     // Update UI
     this.ui.updateSelectedTreeItem(path);
     this.ui.updateBreadcrumb(path.join(" → "));
     this.ui.loadVideo(this.currentSceneData.prompt.videoFile);
     this.ui.toggleLoading(false);
+    this.refreshCacheUsage();
+    if (this.isShowingTrails) this.setShowingTrails(true);
+  }
+
+  async refreshCacheUsage() {
+    this.ui.updateCacheUsage(await this.dataManager.getCacheUsage());
+  }
+
+  getFrameCount() {
+    return this.streamer ? this.streamer.frameCount : 0;
   }
 
+  // Fits the camera and the height colors to the scene
+  resetView() {
+    this.viewer.resetView();
+    this.ui.updateHeightRange(this.viewer.getHeightRange());
+  }
+
+  // Point colors are picked in the shader, so a mode change is free. Only
+  // the modes that compare points need data from here.
   updatePointColors() {
-    const currentFrame = this.frames[this.state.currentFrame];
-    if (currentFrame) {
-      const colors = this.dataManager.getColorsForFrame(
-        currentFrame,
-        this.state.colorMode
+    this.viewer.setColorMode(this.state.colorMode);
+    if (!VALUE_COLOR_MODES.has(this.state.colorMode)) return;
+    this.viewer.clearPointValues();
+    this.updatePointValues();
+    this.updateGhosts();
+  }
+
+  // The comparison scene's values can be left out when its frame is about
+  // to change anyway
+  updatePointValues({ comparison = true } = {}) {
+    if (!VALUE_COLOR_MODES.has(this.state.colorMode)) return;
+    if (comparison) this.updateComparisonValues();
+    const frame = this.currentFrameData;
+    if (!frame) return;
+    this.applyPointValues(
+      this.getPointValues(
+        this.streamer,
+        this.state.currentFrame,
+        frame,
+        this.staticFrameData,
+        "primary"
+      ),
+      () => this.currentFrameData === frame,
+      (values) => this.viewer.setDynamicValues(values)
+    );
+  }
+
+  // Per-point values for the color mode: speed and change against the frame
+  // before in the sequence, clearance against the static scene. null if the
+  // mode needs none or what it compares with isn't loaded. tag names the
+  // cloud they are for, see MotionAnalyzer.
+  async getPointValues(streamer, index, frame, staticFrame, tag) {
+    const mode = this.state.colorMode;
+    if (mode === "clearance")
+      return staticFrame
+        ? this.dataManager.getClearances(frame, staticFrame, tag)
+        : null;
+    if (!VALUE_COLOR_MODES.has(mode)) return null;
+    const previous = index > 0 ? streamer.getLoadedFrame(index - 1) : null;
+    if (!previous) return null;
+    return mode === "speed"
+      ? this.dataManager.getPointSpeeds(frame, previous, this.state.fps, tag)
+      : this.dataManager.getPointChanges(frame, previous, tag);
+  }
+
+  // Values are computed off the main thread; until they arrive, points keep
+  // their label colors. isCurrent() tells whether the cloud still shows the
+  // frame they are for.
+  async applyPointValues(request, isCurrent, apply) {
+    const mode = this.state.colorMode;
+    let values;
+    try {
+      values = await request;
+    } catch (error) {
+      if (error instanceof MotionCancelledError) return;
+      throw error;
+    }
+    if (this.state.colorMode === mode && isCurrent()) apply(values);
+  }
+
+  // --- Comparison ---
+
+  // Opens a second prompt or seed next to (or over) the current scene, on
+  // the same camera and timeline
+  async loadComparison(path) {
+    if (!this.currentSceneData) {
+      this.ui.updateBreadcrumb("Open a scene before comparing with another");
+      return;
+    }
+    this.closeComparison();
+    const sceneData = this.dataManager.getSceneData(path);
+    const comparison = {
+      path,
+      sceneData,
+      streamer: this.dataManager.createFrameStreamer(sceneData, {
+        memoryBudgetMB: this.memoryBudgetMB / 2,
+      }),
+      staticFrame: null,
+      frame: null,
+      frameIndex: -1,
+      pending: null, // Promise of the frame at frameIndex
+    };
+    this.comparison = comparison;
+    this.applyMemoryBudget();
+    this.viewer.setComparisonMode(this.comparisonMode);
+    const { room, scene, seed, promptName } = this.currentSceneData;
+    this.ui.updateComparison([room, scene, seed, promptName], path);
+
+    let staticFrame;
+    try {
+      staticFrame = await this.dataManager.loadStaticCloud(sceneData);
+    } catch (error) {
+      if (error instanceof ParseCancelledError) return;
+      throw error;
+    }
+    if (this.comparison !== comparison) return;
+    comparison.staticFrame = staticFrame;
+    this.viewer.setComparisonStaticPoints(staticFrame);
+    this.updateComparisonValues(); // Clearances depend on the static scene
+    await this.showComparisonFrame();
+  }
+
+  closeComparison() {
+    if (!this.comparison) return;
+    this.comparison.streamer.dispose();
+    this.comparison = null;
+    this.applyMemoryBudget();
+    this.viewer.clearComparison();
+    this.ui.updateComparison(null, null);
+  }
+
+  // Shows the comparison frame matching the current one, holding the last
+  // frame if the comparison sequence is shorter
+  async showComparisonFrame() {
+    const comparison = this.comparison;
+    if (!comparison || comparison.streamer.frameCount === 0) return;
+    const index = Math.min(
+      this.state.currentFrame,
+      comparison.streamer.frameCount - 1
+    );
+    if (index !== comparison.frameIndex) {
+      comparison.frameIndex = index;
+      comparison.streamer.setCurrentFrame(index);
+      comparison.pending = comparison.streamer.getFrame(index);
+    }
+    let frame;
+    try {
+      frame = await comparison.pending;
+    } catch (error) {
+      if (error instanceof ParseCancelledError) return;
+      throw error;
+    }
+    if (this.comparison !== comparison || comparison.frameIndex !== index)
+      return;
+    if (comparison.frame === frame) return; // Already on screen
+    comparison.frame = frame;
+    if (this.labelMaskSize !== this.dataManager.labels.size)
+      this.applyLabelFilter();
+    this.viewer.displayComparisonFrame(frame);
+    this.updateComparisonValues();
+  }
+
+  // Whether the comparison frame for a primary frame can be shown at once
+  isComparisonReady(frameIndex) {
+    const streamer = this.comparison && this.comparison.streamer;
+    if (!streamer || streamer.frameCount === 0) return true;
+    return streamer.isReady(Math.min(frameIndex, streamer.frameCount - 1));
+  }
+
+  updateComparisonValues() {
+    const comparison = this.comparison;
+    if (!comparison || !VALUE_COLOR_MODES.has(this.state.colorMode)) return;
+    const frame = comparison.frame;
+    if (!frame) return;
+    this.applyPointValues(
+      this.getPointValues(
+        comparison.streamer,
+        comparison.frameIndex,
+        frame,
+        comparison.staticFrame,
+        "comparison"
+      ),
+      () => this.comparison === comparison && comparison.frame === frame,
+      (values) => this.viewer.setComparisonValues(values)
+    );
+  }
+
+  // --- Label Legend ---
+
+  isLabelVisible(id) {
+    const { hidden, solo } = this.labelFilter;
+    return solo !== null ? id === solo : !hidden.has(id);
+  }
+
+  toggleLabelVisibility(id) {
+    const filter = this.labelFilter;
+    if (filter.solo !== null) {
+      // Leaving solo keeps what is on screen and adjusts from there
+      filter.hidden = new Set();
+      for (let other = 0; other < this.dataManager.labels.size; other++)
+        if (other !== filter.solo) filter.hidden.add(other);
+      filter.solo = null;
+    }
+    if (filter.hidden.has(id)) filter.hidden.delete(id);
+    else filter.hidden.add(id);
+    this.applyLabelFilter();
+  }
+
+  applyLabelFilter() {
+    const size = this.dataManager.labels.size;
+    const { hidden, solo } = this.labelFilter;
+    let mask = null;
+    if (solo !== null || hidden.size > 0) {
+      mask = new Uint8Array(size);
+      for (let id = 0; id < size; id++)
+        mask[id] = this.isLabelVisible(id) ? 0 : 1;
+    }
+    this.labelMaskSize = size;
+    this.updateLabelColors();
+    this.viewer.setHiddenLabels(mask);
+    this.updateObjects();
+    this.updateTrails();
+    this.updateUI();
+    this.updateLegend();
+  }
+
+  updateLabelColors() {
+    this.viewer.setLabelPalette(this.dataManager.getLabelPalette());
+  }
+
+  // Lists labels present in the static scene or the current frame
+  updateLegend() {
+    const labels = this.dataManager.labels;
+    const frameCounts = this.dataManager.countLabels(this.currentFrameData);
+    const followed = this.isFollowing ? this.getFollowedLabel() : null;
+    const entries = [];
+    for (let id = 0; id < labels.size; id++) {
+      const count = (this.staticLabelCounts[id] || 0) + frameCounts[id];
+      if (count === 0) continue;
+      entries.push({
+        id,
+        name: labels.getName(id),
+        count,
+        color: this.dataManager.getLabelColor(id),
+        visible: this.isLabelVisible(id),
+        solo: this.labelFilter.solo === id,
+        followed: id === followed,
+      });
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    this.ui.updateLegend(entries);
+  }
+
+  // --- Objects ---
+
+  // One tracked box per visible, non-background label in the current frame
+  updateObjects() {
+    const labels = this.dataManager.labels;
+    const boxes = this.currentFrameData
+      ? computeOrientedBoxes(
+          this.currentFrameData,
+          (id) => !labels.isBackground(id) && this.isLabelVisible(id)
+        )
+      : [];
+    this.currentObjects = this.tracker
+      .update(this.state.currentFrame, boxes, this.state.fps)
+      .map((object) => ({
+        ...object,
+        name: labels.getName(object.labelId),
+        color: this.dataManager.getLabelColor(object.labelId),
+      }));
+    this.viewer.showObjects(this.currentObjects);
+    this.ui.updateObjectList(this.currentObjects);
+  }
+
+  // --- Motion ---
+
+  async setShowingTrails(enabled) {
+    this.isShowingTrails = enabled;
+    this.ui.setTrailsActive(enabled);
+    if (enabled && !this.trails && this.streamer) {
+      if (!this.trailsPending) this.trailsPending = this.computeTrails();
+      await this.trailsPending;
+    }
+    this.updateTrails();
+  }
+
+  // Tracks objects through the whole sequence, like the annotation export,
+  // decoding frames behind whatever playback needs
+  async computeTrails() {
+    const streamer = this.streamer;
+    const loadId = this.sceneLoadId;
+    const isCurrent = () => loadId === this.sceneLoadId;
+    try {
+      const frames = await collectSequenceObjects(
+        this.dataManager,
+        this.currentSceneData.prompt.pointCloudFiles,
+        {
+          fps: this.state.fps,
+          getLoadedFrame: (index) => streamer.getLoadedFrame(index),
+          onProgress: (progress) => {
+            if (isCurrent()) this.ui.setTrailsProgress(progress);
+          },
+          isCancelled: () => !isCurrent(),
+        }
       );
-      this.viewer.updateDynamicPointColors(colors);
+      if (frames && isCurrent()) this.trails = buildTrails(frames);
+    } catch (error) {
+      if (error instanceof ParseCancelledError) return;
+      console.error("Error computing motion trails:", error);
+      this.ui.updateBreadcrumb("Error computing motion trails.", true);
+    } finally {
+      if (isCurrent()) {
+        this.trailsPending = null;
+        this.ui.setTrailsProgress(null);
+      }
     }
-    if (this.staticFrameData) {
-      const staticColors = this.dataManager.getColorsForFrame(
-        this.staticFrameData,
-        this.state.colorMode
+  }
+
+  updateTrails() {
+    const trails =
+      this.isShowingTrails && this.trails
+        ? this.trails
+            .filter((trail) => this.isLabelVisible(trail.labelId))
+            .map((trail) => ({
+              color: this.dataManager.getLabelColor(trail.labelId),
+              positions: trail.positions,
+            }))
+        : [];
+    this.viewer.showTrails(trails);
+  }
+
+  updateGhosts() {
+    const frames = [];
+    for (let k = 1; this.streamer && k <= this.ghostCount; k++) {
+      const index = this.state.currentFrame - k;
+      frames.push(index >= 0 ? this.streamer.getLoadedFrame(index) : null);
+    }
+    this.ghostFrames = frames;
+    this.viewer.showGhosts(frames);
+    if (!VALUE_COLOR_MODES.has(this.state.colorMode)) return;
+    frames.forEach((frame, k) => {
+      if (!frame) return;
+      this.applyPointValues(
+        this.getPointValues(
+          this.streamer,
+          this.state.currentFrame - k - 1,
+          frame,
+          this.staticFrameData,
+          `ghost:${k}`
+        ),
+        () => this.ghostFrames[k] === frame,
+        (values) => this.viewer.setGhostValues(k, values)
       );
-      this.viewer.updateStaticPointColors(staticColors);
+    });
+  }
+
+  // --- Point Inspection ---
+
+  // Everything known about a picked point, copied out of its frame so pins
+  // outlive the frame they were taken from
+  describePick(pick) {
+    if (!pick) return null;
+    const isStatic = pick.source === "static";
+    const frame = isStatic ? this.staticFrameData : this.currentFrameData;
+    if (!frame) return null;
+    const i = pick.index;
+    return {
+      source: pick.source,
+      frame: isStatic ? null : this.state.currentFrame,
+      index: i,
+      position: pick.position,
+      normal: Array.from(frame.normals.subarray(i * 3, i * 3 + 3)),
+      color: Array.from(frame.colors.subarray(i * 3, i * 3 + 3)),
+      labelId: frame.labelIds[i],
+      label: this.dataManager.labels.getName(frame.labelIds[i]),
+    };
+  }
+
+  updatePins() {
+    this.viewer.setPinnedMarkers(this.pins.map((pin) => pin.position));
+    this.ui.updatePinnedPoints(this.pins);
+  }
+
+  updatePicking() {
+    this.viewer.setPickingEnabled(this.isInspecting || this.isMeasuring);
+  }
+
+  // --- Measurements ---
+
+  addMeasurementAnchor(info) {
+    this.pendingAnchors.push(info);
+    if (this.pendingAnchors.length === MEASUREMENT_POINTS[this.measureType]) {
+      this.measurements.push({
+        type: this.measureType,
+        anchors: this.pendingAnchors,
+      });
+      this.pendingAnchors = [];
+    }
+    this.updateMeasurements();
+  }
+
+  updateFloorPlane() {
+    const labels = this.dataManager.labels;
+    this.floorPlane = this.staticFrameData
+      ? fitFloorPlane(this.staticFrameData, (id) => labels.isFloor(id))
+      : null;
+    this.viewer.setFloorPlane(this.floorPlane);
+    this.updateMeasurements();
+  }
+
+  // Cuts just below the static scene's ceiling points, or the top of the
+  // scene without any
+  removeCeiling() {
+    const labels = this.dataManager.labels;
+    const height = this.staticFrameData
+      ? findCeilingHeight(this.staticFrameData, (id) => labels.isCeiling(id))
+      : null;
+    this.viewer.removeCeiling(height);
+  }
+
+  // Without floor points, heights are measured from y = 0
+  getFloorPlane() {
+    return this.floorPlane || { point: [0, 0, 0], normal: [0, 1, 0] };
+  }
+
+  // Static anchors stay put. Dynamic anchors follow their point index through
+  // the sequence, as long as the current frame has it with the same label.
+  resolveAnchor(anchor) {
+    if (anchor.source === "static") return anchor.position;
+    const frame = this.currentFrameData;
+    const i = anchor.index;
+    if (!frame || i >= frame.pointCount || frame.labelIds[i] !== anchor.labelId)
+      return null;
+    return Array.from(frame.positions.subarray(i * 3, i * 3 + 3));
+  }
+
+  // Measurement values for the current frame; null where an anchor is missing
+  evaluateMeasurements() {
+    const plane = this.getFloorPlane();
+    return this.measurements.map((measurement) => {
+      const positions = measurement.anchors.map((a) => this.resolveAnchor(a));
+      const value = positions.includes(null)
+        ? null
+        : computeMeasurement(measurement.type, positions, plane);
+      return { ...measurement, positions, value };
+    });
+  }
+
+  updateMeasurements() {
+    const plane = this.getFloorPlane();
+    const results = this.evaluateMeasurements();
+    const visuals = [];
+    for (const { type, positions, value } of results) {
+      if (value === null) continue;
+      const text = formatMeasurement(type, value);
+      if (type === "angle") {
+        visuals.push({ line: positions, text, textPosition: positions[1] });
+        continue;
+      }
+      const line =
+        type === "height"
+          ? [positions[0], projectOntoPlane(positions[0], plane)]
+          : positions;
+      const textPosition = line[0].map((c, k) => (c + line[1][k]) / 2);
+      visuals.push({ line, text, textPosition });
+    }
+    const pending = this.pendingAnchors
+      .map((anchor) => this.resolveAnchor(anchor))
+      .filter((position) => position !== null);
+    this.viewer.showMeasurements(visuals, pending);
+
+    this.ui.updateMeasurementList(
+      results.map(({ type, value }) => ({
+        name: MEASUREMENT_NAMES[type],
+        value:
+          value === null
+            ? "not in this frame"
+            : formatMeasurement(type, value) +
+              (type === "height" && !this.floorPlane ? " (above y = 0)" : ""),
+      }))
+    );
+  }
+
+  exportMeasurements() {
+    if (!this.currentSceneData) return;
+    const { room, scene, seed, promptName } = this.currentSceneData;
+    const output = {
+      scene: { room, scene, seed, promptName },
+      frame: this.state.currentFrame,
+      floorPlane: this.floorPlane,
+      measurements: this.evaluateMeasurements().map((result) => ({
+        type: result.type,
+        unit: result.type === "angle" ? "deg" : "m",
+        value: result.value,
+        anchors: result.anchors.map((anchor, i) => ({
+          source: anchor.source,
+          frame: anchor.frame,
+          index: anchor.index,
+          label: anchor.label,
+          position: result.positions[i],
+        })),
+      })),
+    };
+    this.ui.downloadFile(
+      new Blob([JSON.stringify(output, null, 2)], {
+        type: "application/json",
+      }),
+      `${this.getSceneBaseName()}_measurements.json`
+    );
+  }
+
+  // --- Camera Views ---
+
+  updateCameraViews() {
+    this.ui.updateCameraViews(this.cameraViews.views, this.cameraViews.path);
+  }
+
+  setFollowingPath(enabled) {
+    if (enabled && this.isFollowing) this.setFollowing(false);
+    this.isFollowingPath = enabled;
+    this.ui.setCameraPathActive(enabled);
+    this.applyCameraPath();
+  }
+
+  applyCameraPath(frame = this.state.currentFrame) {
+    if (!this.isFollowingPath) return;
+    const view = this.cameraViews.getPathView(frame);
+    if (view) this.viewer.setCameraView(view);
+  }
+
+  // --- Follow Camera ---
+
+  setFollowing(enabled, labelId = null) {
+    if (enabled && this.isFollowingPath) this.setFollowingPath(false);
+    this.isFollowing = enabled;
+    this.followLabelId = labelId;
+    this.ui.setFollowActive(enabled);
+    this.updateFollow();
+    this.updateLegend();
+  }
+
+  // The chosen label, or else the animated character: a label named like
+  // SMPL or character, failing that the largest foreground label in the frame
+  getFollowedLabel() {
+    if (this.followLabelId !== null) return this.followLabelId;
+    const labels = this.dataManager.labels;
+    const named = labels.names.findIndex((name) =>
+      /smpl|character/i.test(name)
+    );
+    if (named >= 0) return named;
+    const counts = this.dataManager.countLabels(this.currentFrameData);
+    let largest = null;
+    counts.forEach((count, id) => {
+      if (count > 0 && !labels.isBackground(id))
+        if (largest === null || count > counts[largest]) largest = id;
+    });
+    return largest;
+  }
+
+  updateFollow() {
+    const id = this.isFollowing ? this.getFollowedLabel() : null;
+    const centroid =
+      id === null
+        ? null
+        : computeLabelCentroid(this.currentFrameData, id) ||
+          computeLabelCentroid(this.staticFrameData, id);
+    this.viewer.setFollowPoint(centroid);
+  }
+
+  // --- Annotation Export ---
+
+  getSceneBaseName() {
+    const { room, scene, seed, promptName } = this.currentSceneData;
+    return [room, scene, seed, promptName].join("_");
+  }
+
+  async exportAnnotations(format) {
+    if (!this.streamer || this.isExporting) return;
+    const streamer = this.streamer;
+    const loadId = this.sceneLoadId;
+    const { room, scene, seed, promptName, prompt } = this.currentSceneData;
+    const baseName = this.getSceneBaseName();
+    const isCurrent = () => loadId === this.sceneLoadId;
+
+    this.isExporting = true;
+    this.ui.toggleLoading(true, "Exporting annotations: 0%");
+    try {
+      const frames = await collectSequenceObjects(
+        this.dataManager,
+        prompt.pointCloudFiles,
+        {
+          fps: this.state.fps,
+          getLoadedFrame: (index) => streamer.getLoadedFrame(index),
+          onProgress: (progress) => {
+            if (!isCurrent()) return;
+            this.ui.toggleLoading(
+              true,
+              `Exporting annotations: ${Math.round(progress * 100)}%`
+            );
+          },
+          isCancelled: () => !isCurrent(),
+        }
+      );
+      if (!frames) return;
+
+      const info = { room, scene, seed, promptName };
+      if (format === "kitti") {
+        this.ui.downloadFile(formatKITTI(frames), `${baseName}_kitti.zip`);
+      } else if (format === "nuscenes") {
+        this.ui.downloadFile(
+          formatNuScenes(info, frames, this.state.fps),
+          `${baseName}_nuscenes.zip`
+        );
+      } else {
+        this.ui.downloadFile(
+          formatJSON(info, frames, this.state.fps),
+          `${baseName}_annotations.json`
+        );
+      }
+    } catch (error) {
+      if (error instanceof ParseCancelledError) return;
+      console.error("Error exporting annotations:", error);
+      this.ui.updateBreadcrumb("Error exporting annotations.", true);
+    } finally {
+      this.isExporting = false;
+      if (isCurrent()) this.ui.toggleLoading(false);
+    }
+  }
+
+  // --- Capture ---
+
+  getCaptureBaseName() {
+    if (!this.currentSceneData) return "pointcloud";
+    const frame = String(this.state.currentFrame).padStart(6, "0");
+    return `${this.getSceneBaseName()}_${frame}`;
+  }
+
+  async takeScreenshot() {
+    const name = `${this.getCaptureBaseName()}.png`;
+    this.viewer.beginCapture(this.captureOptions);
+    const image = this.viewer.captureImage();
+    this.viewer.endCapture();
+    this.ui.downloadFile(await image, name);
+  }
+
+  // Steps through every frame with seekToFrame, so each one is complete
+  // however slowly it decodes, and saves them as WebM or a zip of PNGs
+  async recordSequence(format) {
+    const frameCount = this.getFrameCount();
+    if (frameCount === 0 || this.recording) return;
+    const recording = { cancelled: false };
+    const loadId = this.sceneLoadId;
+    const isCurrent = () => loadId === this.sceneLoadId && !recording.cancelled;
+    const baseName = this.getSceneBaseName();
+    const startFrame = this.state.currentFrame;
+    const frameTime = 1 / this.state.fps;
+    if (this.state.isPlaying) this.togglePlayback();
+
+    this.recording = recording;
+    this.viewer.beginCapture({
+      scale: this.captureOptions.scale,
+      // WebM has no alpha channel
+      transparent: format === "png" && this.captureOptions.transparent,
+    });
+    let recorder = null;
+    const entries = [];
+    try {
+      if (format === "webm")
+        recorder = new WebMRecorder(
+          this.viewer.renderer.domElement,
+          this.state.fps
+        );
+      for (let i = 0; i < frameCount; i++) {
+        this.ui.toggleLoading(
+          true,
+          `Recording frame ${i + 1} / ${frameCount} (Esc to cancel)`
+        );
+        await this.seekToFrame(i);
+        await this.showComparisonFrame();
+        if (!isCurrent()) return;
+        if (recorder) {
+          this.viewer.render(frameTime);
+          await recorder.addFrame();
+        } else {
+          const image = await this.viewer.captureImage(frameTime);
+          entries.push({
+            name: `${baseName}/frame_${String(i).padStart(6, "0")}.png`,
+            data: await blobToBytes(image),
+          });
+        }
+        if (!isCurrent()) return;
+      }
+
+      if (recorder) {
+        const video = await recorder.finish();
+        recorder = null;
+        this.ui.downloadFile(video, `${baseName}.webm`);
+      } else {
+        this.ui.downloadFile(createZip(entries), `${baseName}_frames.zip`);
+      }
+    } catch (error) {
+      console.error("Error recording sequence:", error);
+      this.ui.updateBreadcrumb(`Error recording: ${error.message}`, true);
+    } finally {
+      if (recorder) recorder.cancel();
+      this.viewer.endCapture();
+      this.recording = null;
+      if (loadId === this.sceneLoadId) {
+        this.ui.toggleLoading(false);
+        this.seekToFrame(startFrame);
+      }
     }
   }
 
   // --- Playback Logic ---
 
-  seekToFrame(frameIndex) {
-    if (this.frames.length === 0) return;
-    const newFrame = Math.max(0, Math.min(this.frames.length - 1, frameIndex));
+  // Shows the frame at state.currentFrame, waiting for it to be decoded if it
+  // isn't yet. Resolves once the frame is displayed or a newer seek took over.
+  async seekToFrame(frameIndex) {
+    const frameCount = this.getFrameCount();
+    if (frameCount === 0) return;
+    const newFrame = Math.max(0, Math.min(frameCount - 1, frameIndex));
+    const streamer = this.streamer;
 
-    if (this.frames[newFrame]) {
-      this.state.currentFrame = newFrame;
-      this.viewer.displayFrame(this.frames[this.state.currentFrame]);
-      this.updatePointColors();
-      this.ui.syncVideoToFrame(this.state.currentFrame, this.state.fps);
+    this.state.currentFrame = newFrame;
+    if (this.playback) this.playback.playhead = newFrame;
+    streamer.setCurrentFrame(newFrame);
+
+    let frame = streamer.getLoadedFrame(newFrame);
+    if (!frame) {
+      this.ui.updateBuffering(true);
       this.updateUI();
+      try {
+        frame = await streamer.getFrame(newFrame);
+      } catch (error) {
+        if (error instanceof ParseCancelledError) return;
+        throw error;
+      }
+      if (streamer !== this.streamer || this.state.currentFrame !== newFrame)
+        return;
     }
+    this.showFrame(frame);
+  }
+
+  showFrame(frame) {
+    this.ui.updateBuffering(false);
+    this.currentFrameData = frame;
+    // Labels first seen in this frame need a place in the filter mask
+    if (this.labelMaskSize !== this.dataManager.labels.size)
+      this.applyLabelFilter();
+    this.viewer.displayFrame(frame);
+    this.applyCameraPath();
+    this.updateFollow();
+    this.updatePointValues({ comparison: false });
+    this.updateGhosts();
+    this.showComparisonFrame();
+    this.updateObjects();
+    this.updateMeasurements();
+    this.ui.syncVideoToFrame(this.state.currentFrame, this.state.fps);
+    this.updateUI();
+    this.updateLegend();
   }
 
   togglePlayback() {
-    if (this.frames.length === 0) return;
+    if (this.getFrameCount() === 0) return;
     this.state.isPlaying = !this.state.isPlaying;
     if (this.state.isPlaying) {
       this.startPlayback();
@@ -173,20 +1290,58 @@ class App {
   }
 
   startPlayback() {
-    if (this.frameInterval) clearInterval(this.frameInterval);
-    this.frameInterval = setInterval(() => {
-      let nextFrame = this.state.currentFrame + 1;
-      if (nextFrame >= this.frames.length) {
-        nextFrame = 0; // Loop
-        this.ui.syncVideoToFrame(0, this.state.fps, true);
-      }
-      this.seekToFrame(nextFrame);
-    }, 1000 / this.state.fps / this.state.speed);
+    this.playback = { playhead: this.state.currentFrame };
   }
 
+  // Pausing lands on the whole frame the playhead is in
   stopPlayback() {
-    clearInterval(this.frameInterval);
-    this.frameInterval = null;
+    this.playback = null;
+    this.viewer.blendDynamicFrame(null, 0);
+  }
+
+  // Moves the playhead by the render loop's clock, in fractional frames.
+  // Whole frames are shown as the playhead reaches them, skipping some at
+  // high speeds; in between, positions may be blended towards the next one.
+  advancePlayback(dt) {
+    const playback = this.playback;
+    const frameCount = this.getFrameCount();
+    if (!playback || frameCount === 0) return;
+    const current = this.state.currentFrame;
+    let playhead = playback.playhead + dt * this.state.fps * this.state.speed;
+    const whole = Math.floor(playhead);
+    if (whole !== current) {
+      const next = whole % frameCount; // Loop
+      // Stall on frames that are still decoding instead of skipping them,
+      // in the comparison scene too so the two stay in step
+      const isReady = this.streamer.isReady(next);
+      if (!isReady) this.streamer.getFrame(next).catch(() => {});
+      if (!isReady || !this.isComparisonReady(next)) {
+        this.ui.updateBuffering(true);
+        playback.playhead = Math.min(playhead, current + 1);
+        return;
+      }
+      playhead -= whole - next;
+      if (next < current) this.ui.syncVideoToFrame(0, this.state.fps, true);
+      this.seekToFrame(next); // Loaded, so it is shown right away
+    }
+    playback.playhead = playhead;
+    this.applyCameraPath(playhead);
+    this.updateFrameBlend(playhead - this.state.currentFrame);
+  }
+
+  // Blends towards the next frame if both hold the same points in the same
+  // order; otherwise the current frame stays as it is
+  updateFrameBlend(t) {
+    const { currentFrame } = this.state;
+    const isShown =
+      this.streamer.getLoadedFrame(currentFrame) === this.currentFrameData;
+    const next =
+      this.interpolate && isShown && currentFrame + 1 < this.getFrameCount()
+        ? this.streamer.getLoadedFrame(currentFrame + 1)
+        : null;
+    if (next && framesCorrespond(this.currentFrameData, next))
+      this.viewer.blendDynamicFrame(next, t);
+    else this.viewer.blendDynamicFrame(null, 0);
   }
 
   nextFrame() {
@@ -197,14 +1352,25 @@ class App {
     this.seekToFrame(this.state.currentFrame - 1);
   }
 
+  scheduleTimelineBufferUpdate() {
+    if (this.timelineBufferUpdatePending) return;
+    this.timelineBufferUpdatePending = true;
+    requestAnimationFrame(() => {
+      this.timelineBufferUpdatePending = false;
+      this.ui.updateTimelineBuffer(
+        this.streamer ? this.streamer.getFrameStates() : []
+      );
+    });
+  }
+
   // --- UI Update Logic ---
 
   updateUI() {
-    const frameCount = this.frames.length;
+    const frameCount = this.getFrameCount();
     const currentFrameNumber = frameCount > 0 ? this.state.currentFrame + 1 : 0;
     const totalPoints =
       (this.staticFrameData?.pointCount || 0) +
-      (this.frames[this.state.currentFrame]?.pointCount || 0);
+      (this.currentFrameData?.pointCount || 0);
 
     if (this.currentSceneData)
       this.ui.updateSceneInfo(this.currentSceneData.promptName);
@@ -221,7 +1387,7 @@ class App {
   }
 
   updateUITimeLabels() {
-    const frameCount = this.frames.length;
+    const frameCount = this.getFrameCount();
     const currentTime =
       frameCount > 0 ? this.state.currentFrame / this.state.fps : 0;
     const totalTime = frameCount > 0 ? (frameCount - 1) / this.state.fps : 0;
@@ -239,6 +1405,8 @@ class App {
       this.ui.updateFps(Math.round(fps));
     }
     this.lastRenderTime = now;
+    if (this.recording) return; // Recordings render their own
+    this.advancePlayback(Math.min(delta / 1000, MAX_PLAYBACK_STEP));
     this.viewer.render();
   }
 }
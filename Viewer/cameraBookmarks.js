@@ -0,0 +1,149 @@
+// cameraBookmarks.js
+
+const STORAGE_PREFIX = "pointcloud-viewer.cameraViews.";
+
+// Named camera views for one scene, plus a camera path through them keyed to
+// frame numbers. Views are { name, position, target, fov }. Path keyframes are
+// { frame, view } where view is a view's name, so updating a view also moves
+// the path through it.
+export class CameraBookmarks {
+  constructor() {
+    this.clear();
+  }
+
+  clear() {
+    this.storageKey = null;
+    this.views = [];
+    this.path = [];
+  }
+
+  load(sceneKey) {
+    this.clear();
+    this.storageKey = STORAGE_PREFIX + sceneKey;
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      if (stored) this.setData(JSON.parse(stored));
+    } catch (e) {
+      console.warn("Ignoring unreadable camera views:", e);
+      this.views = [];
+      this.path = [];
+    }
+  }
+
+  save() {
+    if (!this.storageKey) return;
+    if (this.views.length === 0) {
+      localStorage.removeItem(this.storageKey);
+    } else {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.toJSON()));
+    }
+  }
+
+  toJSON() {
+    return { views: this.views, path: this.path };
+  }
+
+  // Replaces all views and the path, e.g. with an export from someone else
+  setData(data) {
+    const isVector = (v) =>
+      Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+    const views = data && Array.isArray(data.views) ? data.views : null;
+    if (!views) throw new Error('Camera views need a "views" array');
+    for (const view of views) {
+      if (
+        typeof view.name !== "string" ||
+        !isVector(view.position) ||
+        !isVector(view.target) ||
+        !Number.isFinite(view.fov)
+      )
+        throw new Error(`Camera view "${view.name}" is malformed`);
+    }
+    const names = new Set(views.map((view) => view.name));
+    const path = (data.path || []).filter(
+      (key) => Number.isInteger(key.frame) && names.has(key.view)
+    );
+    this.views = views.map(({ name, position, target, fov }) => ({
+      name,
+      position,
+      target,
+      fov,
+    }));
+    this.path = path
+      .map(({ frame, view }) => ({ frame, view }))
+      .sort((a, b) => a.frame - b.frame);
+  }
+
+  async importFile(file) {
+    let json;
+    try {
+      json = JSON.parse(await file.text());
+    } catch (e) {
+      throw new Error(`${file.name} is not valid JSON: ${e.message}`);
+    }
+    this.setData(json);
+    this.save();
+  }
+
+  // Saving under an existing name updates that view
+  saveView(view) {
+    const index = this.views.findIndex((v) => v.name === view.name);
+    if (index >= 0) this.views[index] = view;
+    else this.views.push(view);
+    this.save();
+  }
+
+  removeView(index) {
+    const [removed] = this.views.splice(index, 1);
+    if (!removed) return;
+    this.path = this.path.filter((key) => key.view !== removed.name);
+    this.save();
+  }
+
+  // One keyframe per frame; setting another view there replaces it
+  setKeyframe(frame, viewIndex) {
+    const view = this.views[viewIndex];
+    if (!view) return;
+    this.path = this.path.filter((key) => key.frame !== frame);
+    this.path.push({ frame, view: view.name });
+    this.path.sort((a, b) => a.frame - b.frame);
+    this.save();
+  }
+
+  removeKeyframe(index) {
+    this.path.splice(index, 1);
+    this.save();
+  }
+
+  // The camera view at a (possibly fractional) frame along the path, or null
+  // without keyframes. Positions and targets follow Catmull-Rom curves
+  // through the keyframes; before the first and after the last the camera
+  // holds still.
+  getPathView(frame) {
+    const keys = this.path.map((key) => ({
+      frame: key.frame,
+      view: this.views.find((v) => v.name === key.view),
+    }));
+    if (keys.length === 0) return null;
+    if (frame <= keys[0].frame) return keys[0].view;
+    const last = keys[keys.length - 1];
+    if (frame >= last.frame) return last.view;
+
+    let i = 0;
+    while (keys[i + 1].frame <= frame) i++;
+    const a = keys[i],
+      b = keys[i + 1];
+    const local = (frame - a.frame) / (b.frame - a.frame);
+    const t = (i + local) / (keys.length - 1);
+    const curve = (property) =>
+      new THREE.CatmullRomCurve3(
+        keys.map((key) => new THREE.Vector3(...key.view[property])),
+        false,
+        "centripetal"
+      );
+    return {
+      position: curve("position").getPoint(t).toArray(),
+      target: curve("target").getPoint(t).toArray(),
+      fov: a.view.fov + (b.view.fov - a.view.fov) * local,
+    };
+  }
+}
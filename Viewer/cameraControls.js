@@ -0,0 +1,451 @@
+// cameraControls.js
+
+const DAMPING = 0.15; // Share of the remaining orbit motion applied per frame
+const ROTATE_SPEED = 0.005; // Radians per pixel at look speed 1
+const PAN_SPEED = 0.002; // Orbit pan per pixel, relative to target distance
+const DRAG_THRESHOLD = 4; // Pixels a press may move and still be a click
+const FAST_MULTIPLIER = 3; // Shift held while flying or walking
+const EYE_HEIGHT = 1.65; // Metres above the floor in first-person mode
+const TOP_DOWN_HEIGHT = 1000; // Top-down camera sits this far above the target
+const FOLLOW_ORBIT_SPEED = 0.35; // Radians per second when circling a subject
+
+// Local movement per key: x right, y up, z backwards
+const MOVE_KEYS = {
+  w: [0, 0, -1],
+  s: [0, 0, 1],
+  a: [-1, 0, 0],
+  d: [1, 0, 0],
+  q: [0, -1, 0],
+  e: [0, 1, 0],
+};
+
+const MOVEMENT_MODES = ["fly", "walk"];
+
+// Whether a key moves the camera in the given mode, rather than being free
+// for other shortcuts
+export function isMovementKey(mode, key) {
+  return MOVEMENT_MODES.includes(mode) && key.toLowerCase() in MOVE_KEYS;
+}
+
+// Camera navigation for the viewer canvas, with mouse, touch and keyboard.
+//
+//   orbit   - left drag rotates about the target, right drag pans, wheel
+//             zooms; motion eases out
+//   fly     - drag to look, WASD to move, Q/E down/up
+//   topdown - orthographic view from above; drag pans, right drag turns
+//   walk    - like fly, but level and kept at eye height above the floor
+//
+// Touch: one finger acts as a left drag, two fingers pinch and pan.
+export class CameraControls {
+  constructor(domElement, perspectiveCamera, target) {
+    this.domElement = domElement;
+    this.perspectiveCamera = perspectiveCamera;
+    this.orthographicCamera = new THREE.OrthographicCamera(
+      -1,
+      1,
+      1,
+      -1,
+      0.1,
+      TOP_DOWN_HEIGHT * 2
+    );
+    this.target = target;
+    this.mode = "orbit";
+    this.moveSpeed = 2; // Metres per second
+    this.lookSpeed = 1;
+    this.floorPlane = null;
+
+    this.orbitDelta = { theta: 0, phi: 0 };
+    this.panDelta = new THREE.Vector3();
+    this.zoomScale = 1;
+    this.orbitDistance = perspectiveCamera.position.distanceTo(target);
+    this.yaw = 0;
+    this.pitch = 0;
+    this.heading = 0; // Top-down rotation about y
+
+    // Following a moving subject, see setFollowPoint
+    this.followPoint = null;
+    this.followStyle = "offset"; // "offset" or "orbit"
+    this.followSmoothing = 0.3; // Seconds to close most of the gap
+
+    this.pointers = new Map(); // pointer id -> { x, y }
+    this.dragButton = 0;
+    this.dragDistance = 0;
+    this.pressedKeys = new Set();
+    this.isFast = false;
+    this.lastUpdate = performance.now();
+
+    this.bindEvents();
+  }
+
+  get camera() {
+    return this.mode === "topdown"
+      ? this.orthographicCamera
+      : this.perspectiveCamera;
+  }
+
+  // --- Input ---
+
+  bindEvents() {
+    const element = this.domElement;
+    element.style.touchAction = "none";
+    element.addEventListener("contextmenu", (e) => e.preventDefault());
+    element.addEventListener("pointerdown", (e) => {
+      element.setPointerCapture(e.pointerId);
+      this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (this.pointers.size === 1) {
+        this.dragButton = e.button;
+        this.dragDistance = 0;
+      }
+    });
+    element.addEventListener("pointermove", (e) => this.onPointerMove(e));
+    const release = (e) => this.pointers.delete(e.pointerId);
+    element.addEventListener("pointerup", release);
+    element.addEventListener("pointercancel", release);
+    element.addEventListener(
+      "wheel",
+      (e) => {
+        e.preventDefault();
+        this.onWheel(e.deltaY > 0 ? 1 : -1);
+      },
+      { passive: false }
+    );
+
+    window.addEventListener("keydown", (e) => {
+      this.isFast = e.shiftKey;
+      if (isTyping(e)) return;
+      if (isMovementKey(this.mode, e.key))
+        this.pressedKeys.add(e.key.toLowerCase());
+    });
+    window.addEventListener("keyup", (e) => {
+      this.isFast = e.shiftKey;
+      this.pressedKeys.delete(e.key.toLowerCase());
+    });
+    window.addEventListener("blur", () => this.pressedKeys.clear());
+  }
+
+  onPointerMove(e) {
+    const pointer = this.pointers.get(e.pointerId);
+    if (!pointer) return;
+    const dx = e.clientX - pointer.x;
+    const dy = e.clientY - pointer.y;
+
+    if (this.pointers.size === 1) {
+      this.dragDistance += Math.abs(dx) + Math.abs(dy);
+      pointer.x = e.clientX;
+      pointer.y = e.clientY;
+      this.onDrag(dx, dy, this.dragButton === 2);
+      return;
+    }
+
+    // Two fingers: the change in spread pinches, the midpoint pans
+    const [a, b] = [...this.pointers.values()];
+    const spreadBefore = Math.hypot(a.x - b.x, a.y - b.y);
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+    const spreadAfter = Math.hypot(a.x - b.x, a.y - b.y);
+    this.dragDistance += Math.abs(dx) + Math.abs(dy);
+    if (spreadBefore > 0 && spreadAfter > 0)
+      this.onPinch(spreadAfter / spreadBefore, dx / 2, dy / 2);
+  }
+
+  onDrag(dx, dy, secondary) {
+    const rotation = ROTATE_SPEED * this.lookSpeed;
+    switch (this.mode) {
+      case "orbit":
+        if (secondary) this.pan(dx, dy);
+        else {
+          this.orbitDelta.theta -= dx * rotation;
+          this.orbitDelta.phi -= dy * rotation;
+        }
+        break;
+      case "topdown":
+        if (secondary) this.heading -= dx * rotation;
+        else this.pan(dx, dy);
+        break;
+      default:
+        this.yaw -= dx * rotation;
+        this.pitch -= dy * rotation;
+        this.pitch = Math.max(-1.5, Math.min(1.5, this.pitch));
+    }
+  }
+
+  // scale > 1 when the fingers spread apart
+  onPinch(scale, dx, dy) {
+    switch (this.mode) {
+      case "orbit":
+        this.zoomScale /= scale;
+        this.pan(dx, dy);
+        break;
+      case "topdown":
+        this.zoomOrthographic(scale);
+        this.pan(dx, dy);
+        break;
+      default:
+        this.moveForward((scale - 1) * this.moveSpeed * 2);
+    }
+  }
+
+  // direction is 1 for wheel down (out), -1 for wheel up (in)
+  onWheel(direction) {
+    switch (this.mode) {
+      case "orbit":
+        this.zoomScale *= direction > 0 ? 1.1 : 0.9;
+        break;
+      case "topdown":
+        this.zoomOrthographic(direction > 0 ? 0.9 : 1.1);
+        break;
+      default:
+        this.moveForward(-direction * this.moveSpeed * 0.25);
+    }
+  }
+
+  pan(dx, dy) {
+    const camera = this.camera;
+    camera.updateMatrix();
+    const worldPerPixel =
+      this.mode === "topdown"
+        ? (camera.top - camera.bottom) /
+          camera.zoom /
+          this.domElement.clientHeight
+        : camera.position.distanceTo(this.target) * PAN_SPEED;
+    const right = new THREE.Vector3()
+      .setFromMatrixColumn(camera.matrix, 0)
+      .multiplyScalar(-dx * worldPerPixel);
+    const up = new THREE.Vector3()
+      .setFromMatrixColumn(camera.matrix, 1)
+      .multiplyScalar(dy * worldPerPixel);
+    if (this.mode === "topdown") this.target.add(right).add(up);
+    else this.panDelta.add(right).add(up);
+  }
+
+  zoomOrthographic(factor) {
+    const camera = this.orthographicCamera;
+    camera.zoom = Math.max(0.01, camera.zoom * factor);
+    camera.updateProjectionMatrix();
+  }
+
+  moveForward(distance) {
+    const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(
+      this.perspectiveCamera.quaternion
+    );
+    if (this.mode === "walk") forward.setY(0).normalize();
+    this.perspectiveCamera.position.addScaledVector(forward, distance);
+  }
+
+  // --- State ---
+
+  isMoving() {
+    return MOVEMENT_MODES.includes(this.mode);
+  }
+
+  isDragging() {
+    return this.pointers.size > 0;
+  }
+
+  // True if the last press moved too far to count as a click
+  wasDragged() {
+    return this.dragDistance > DRAG_THRESHOLD;
+  }
+
+  setMode(mode) {
+    if (mode === this.mode) return;
+    const camera = this.perspectiveCamera;
+    if (this.mode === "orbit")
+      this.orbitDistance = camera.position.distanceTo(this.target);
+    if (mode === "orbit" && this.isMoving()) {
+      // Orbit about whatever is in front of the camera
+      const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(
+        camera.quaternion
+      );
+      this.target
+        .copy(camera.position)
+        .addScaledVector(forward, this.orbitDistance);
+    }
+    if (this.mode === "topdown") {
+      // Come down looking at the same spot from the same direction
+      const offset = new THREE.Vector3(
+        Math.sin(this.heading),
+        0.5,
+        Math.cos(this.heading)
+      ).setLength(this.orbitDistance);
+      camera.position.copy(this.target).add(offset);
+      camera.lookAt(this.target);
+    }
+    this.mode = mode;
+    this.pressedKeys.clear();
+    this.sync();
+  }
+
+  // Re-derives mode state after the camera or target was moved from outside,
+  // dropping any motion still easing out
+  sync() {
+    const camera = this.perspectiveCamera;
+    this.orbitDelta = { theta: 0, phi: 0 };
+    this.panDelta.set(0, 0, 0);
+    this.zoomScale = 1;
+    if (this.isMoving()) {
+      const euler = new THREE.Euler().setFromQuaternion(
+        camera.quaternion,
+        "YXZ"
+      );
+      this.yaw = euler.y;
+      this.pitch = this.mode === "walk" ? 0 : euler.x;
+    } else if (this.mode === "topdown") {
+      // Frame about as much as the perspective view showed
+      const offset = camera.position.clone().sub(this.target);
+      this.heading = Math.atan2(offset.x, offset.z);
+      const ortho = this.orthographicCamera;
+      const halfHeight = Math.max(1, offset.length() / 2);
+      ortho.top = halfHeight;
+      ortho.bottom = -halfHeight;
+      ortho.zoom = 1;
+      this.updateAspect(camera.aspect);
+    }
+  }
+
+  lookAt(point) {
+    this.target.copy(point);
+    this.perspectiveCamera.lookAt(this.target);
+    this.sync();
+  }
+
+  setSpeeds({ moveSpeed = this.moveSpeed, lookSpeed = this.lookSpeed }) {
+    this.moveSpeed = moveSpeed;
+    this.lookSpeed = lookSpeed;
+  }
+
+  // Moves the target to point, and the camera with it, easing over
+  // followSmoothing. With the "orbit" style the camera also circles the
+  // target in orbit mode. null holds the camera where it is.
+  setFollowPoint(point) {
+    this.followPoint = point ? new THREE.Vector3(...point) : null;
+  }
+
+  setFollowOptions({
+    style = this.followStyle,
+    smoothing = this.followSmoothing,
+  }) {
+    this.followStyle = style;
+    this.followSmoothing = smoothing;
+  }
+
+  setFloorPlane(plane) {
+    this.floorPlane = plane;
+  }
+
+  getFloorHeight(x, z) {
+    if (!this.floorPlane) return 0;
+    const { point, normal } = this.floorPlane;
+    return (
+      point[1] -
+      (normal[0] * (x - point[0]) + normal[2] * (z - point[2])) / normal[1]
+    );
+  }
+
+  updateAspect(aspect) {
+    this.perspectiveCamera.aspect = aspect;
+    this.perspectiveCamera.updateProjectionMatrix();
+    const ortho = this.orthographicCamera;
+    ortho.left = ortho.bottom * aspect;
+    ortho.right = ortho.top * aspect;
+    ortho.updateProjectionMatrix();
+  }
+
+  // --- Per-frame update ---
+
+  // dt defaults to the time since the last update; recordings pass their
+  // frame duration so easing doesn't depend on how long frames take
+  update(dt = null) {
+    const now = performance.now();
+    if (dt === null) dt = Math.min(0.1, (now - this.lastUpdate) / 1000);
+    this.lastUpdate = now;
+    this.updateFollow(dt);
+    switch (this.mode) {
+      case "orbit":
+        this.updateOrbit();
+        break;
+      case "topdown":
+        this.updateTopDown();
+        break;
+      default:
+        this.updateMovement(dt);
+    }
+  }
+
+  updateFollow(dt) {
+    if (!this.followPoint) return;
+    const share =
+      this.followSmoothing > 0 ? 1 - Math.exp(-dt / this.followSmoothing) : 1;
+    const step = this.followPoint
+      .clone()
+      .sub(this.target)
+      .multiplyScalar(share);
+    this.target.add(step);
+    this.perspectiveCamera.position.add(step);
+    // Orbit damping applies DAMPING of the backlog per frame, so topping it
+    // up by this frame's angle turns at a steady rate
+    if (this.followStyle === "orbit" && this.mode === "orbit")
+      this.orbitDelta.theta += FOLLOW_ORBIT_SPEED * dt;
+  }
+
+  updateOrbit() {
+    const camera = this.perspectiveCamera;
+    const step = this.panDelta.clone().multiplyScalar(DAMPING);
+    this.target.add(step);
+    this.panDelta.sub(step);
+
+    const offset = camera.position.clone().sub(this.target);
+    const spherical = new THREE.Spherical().setFromVector3(offset);
+    spherical.theta += this.orbitDelta.theta * DAMPING;
+    spherical.phi += this.orbitDelta.phi * DAMPING;
+    spherical.phi = Math.max(0.01, Math.min(Math.PI - 0.01, spherical.phi));
+    this.orbitDelta.theta *= 1 - DAMPING;
+    this.orbitDelta.phi *= 1 - DAMPING;
+    const zoom = Math.pow(this.zoomScale, DAMPING);
+    spherical.radius *= zoom;
+    this.zoomScale /= zoom;
+
+    offset.setFromSpherical(spherical);
+    camera.position.copy(this.target).add(offset);
+    camera.lookAt(this.target);
+  }
+
+  updateTopDown() {
+    const camera = this.orthographicCamera;
+    camera.position.set(
+      this.target.x,
+      this.target.y + TOP_DOWN_HEIGHT,
+      this.target.z
+    );
+    // Screen up points away from where the perspective camera stood
+    camera.up.set(-Math.sin(this.heading), 0, -Math.cos(this.heading));
+    camera.lookAt(this.target);
+  }
+
+  updateMovement(dt) {
+    const camera = this.perspectiveCamera;
+    camera.rotation.set(this.pitch, this.yaw, 0, "YXZ");
+
+    const move = new THREE.Vector3();
+    for (const key of this.pressedKeys)
+      move.add(new THREE.Vector3(...MOVE_KEYS[key]));
+    if (this.mode === "walk") move.y = 0;
+    if (move.lengthSq() > 0) {
+      const speed = this.moveSpeed * (this.isFast ? FAST_MULTIPLIER : 1);
+      move.normalize().multiplyScalar(speed * dt);
+      // Flying follows the view; walking stays level
+      if (this.mode === "walk")
+        move.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.yaw);
+      else move.applyQuaternion(camera.quaternion);
+      camera.position.add(move);
+    }
+    if (this.mode === "walk") {
+      camera.position.y =
+        this.getFloorHeight(camera.position.x, camera.position.z) + EYE_HEIGHT;
+    }
+  }
+}
+
+function isTyping(e) {
+  return e.target.tagName === "INPUT" || e.target.tagName === "SELECT";
+}
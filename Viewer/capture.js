@@ -0,0 +1,60 @@
+// capture.js
+
+const WEBM_TYPES = [
+  "video/webm;codecs=vp9",
+  "video/webm;codecs=vp8",
+  "video/webm",
+];
+
+// Records a canvas to WebM one frame at a time, so a sequence comes out at
+// its own frame rate however long each frame takes to prepare. MediaRecorder
+// timestamps frames by the wall clock, so the recorder runs only while a
+// frame is held for its duration and is paused in between.
+export class WebMRecorder {
+  constructor(canvas, fps) {
+    const mimeType =
+      typeof MediaRecorder !== "undefined" &&
+      WEBM_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw new Error("This browser cannot record WebM video");
+
+    this.stream = canvas.captureStream(0); // Frames only on requestFrame()
+    this.track = this.stream.getVideoTracks()[0];
+    this.frameDuration = 1000 / fps;
+    this.chunks = [];
+    this.recorder = new MediaRecorder(this.stream, {
+      mimeType,
+      videoBitsPerSecond: 20_000_000,
+    });
+    this.recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) this.chunks.push(e.data);
+    };
+    this.recorder.start();
+    this.recorder.pause();
+  }
+
+  // Call right after the frame was rendered to the canvas
+  async addFrame() {
+    this.recorder.resume();
+    this.track.requestFrame();
+    await new Promise((resolve) => setTimeout(resolve, this.frameDuration));
+    this.recorder.pause();
+  }
+
+  finish() {
+    return new Promise((resolve) => {
+      this.recorder.onstop = () =>
+        resolve(new Blob(this.chunks, { type: "video/webm" }));
+      this.recorder.stop();
+      this.track.stop();
+    });
+  }
+
+  cancel() {
+    if (this.recorder.state !== "inactive") this.recorder.stop();
+    this.track.stop();
+  }
+}
+
+export async function blobToBytes(blob) {
+  return new Uint8Array(await blob.arrayBuffer());
+}
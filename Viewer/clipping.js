@@ -0,0 +1,347 @@
+// clipping.js
+
+const MAX_CLIP_PLANES = 3;
+const MIN_BOX_SIZE = 0.01; // Section box faces never cross
+const CEILING_MARGIN = 0.05; // Cut this far below the ceiling
+const HANDLE_SCALE = 0.012; // Handle radius per unit of camera distance
+const BOX_COLOR = 0xffcc00;
+const PLANE_COLOR = 0x00e5ff;
+const HOVER_COLOR = 0xffffff;
+
+// Height of the lowest ceiling-labeled point, or null without any
+export function findCeilingHeight(frameData, isCeiling) {
+  const { positions, labelIds, pointCount } = frameData;
+  let lowest = Infinity;
+  for (let i = 0; i < pointCount; i++)
+    if (isCeiling(labelIds[i])) lowest = Math.min(lowest, positions[i * 3 + 1]);
+  return lowest === Infinity ? null : lowest;
+}
+
+// Section box and up to MAX_CLIP_PLANES clipping planes, with handles that
+// drag a box face or plane along its axis. A plane is given by the side it
+// cuts away, e.g. "y+" removes everything above its position on y, and
+// there is at most one per side. Point materials share `clippingPlanes`,
+// which is updated in place.
+export class ClippingTool {
+  // getPointer(clientX, clientY) returns the pointer in normalized device
+  // coordinates, or null where nothing can be picked
+  constructor(domElement, getCamera, getPointer) {
+    this.domElement = domElement;
+    this.getCamera = getCamera;
+    this.getPointer = getPointer;
+    this.box = null; // THREE.Box3 while the section box is on
+    this.planes = []; // { side, position }, oldest first
+    this.bounds = new THREE.Box3(); // Scene extent, sizes the plane gizmos
+    this.clippingPlanes = [];
+
+    this.group = new THREE.Group();
+    this.handleGeometry = new THREE.SphereGeometry(1, 12, 8);
+    this.planeGeometry = new THREE.PlaneGeometry(1, 1);
+    this.handles = []; // Meshes; userData.key names what they move
+    this.hoveredKey = null;
+    this.drag = null;
+    this.raycaster = new THREE.Raycaster();
+    this.bindEvents();
+  }
+
+  // --- Input ---
+
+  // Capture phase, so a drag that starts on a handle never reaches the
+  // camera controls or point picking
+  bindEvents() {
+    const element = this.domElement;
+    element.addEventListener(
+      "pointerdown",
+      (e) => {
+        const handle = this.pickHandle(e);
+        if (!handle || e.button !== 0) return;
+        e.stopImmediatePropagation();
+        element.setPointerCapture(e.pointerId);
+        this.startDrag(handle.userData.key, e);
+      },
+      true
+    );
+    element.addEventListener(
+      "pointermove",
+      (e) => {
+        if (this.drag) {
+          e.stopImmediatePropagation();
+          this.moveDrag(e);
+        } else {
+          const handle = this.pickHandle(e);
+          this.setHovered(handle ? handle.userData.key : null);
+        }
+      },
+      true
+    );
+    const release = (e) => {
+      if (!this.drag) return;
+      e.stopImmediatePropagation();
+      this.drag = null;
+      if (e.type !== "pointerup") return;
+      // Nor does the click that ends the drag
+      element.addEventListener("click", (c) => c.stopImmediatePropagation(), {
+        capture: true,
+        once: true,
+      });
+    };
+    element.addEventListener("pointerup", release, true);
+    element.addEventListener("pointercancel", release, true);
+  }
+
+  pickHandle(e) {
+    if (!this.group.visible || this.handles.length === 0) return null;
+    const pointer = this.getPointer(e.clientX, e.clientY);
+    if (!pointer) return null;
+    this.raycaster.setFromCamera(pointer, this.getCamera());
+    const [hit] = this.raycaster.intersectObjects(this.handles, false);
+    return hit ? hit.object : null;
+  }
+
+  setHovered(key) {
+    if (key === this.hoveredKey) return;
+    this.hoveredKey = key;
+    this.domElement.style.cursor = key ? "grab" : "";
+    this.updateGizmos();
+  }
+
+  startDrag(key, e) {
+    const handle = this.handles.find((h) => h.userData.key === key);
+    const axis = new THREE.Vector3().setComponent(this.getAxis(key), 1);
+    const origin = handle.position.clone();
+    const along = this.getAxisParameter(e, origin, axis);
+    if (along === null) return;
+    this.drag = { key, axis, origin, along, start: this.getValue(key) };
+  }
+
+  moveDrag(e) {
+    const { key, axis, origin, along, start } = this.drag;
+    const t = this.getAxisParameter(e, origin, axis);
+    if (t === null) return;
+    this.setValue(key, start + t - along);
+    this.update();
+  }
+
+  // Where the pointer ray passes closest to the line through origin along
+  // axis, as a distance along it; null when looking down the axis
+  getAxisParameter(e, origin, axis) {
+    const pointer = this.getPointer(e.clientX, e.clientY);
+    if (!pointer) return null;
+    this.raycaster.setFromCamera(pointer, this.getCamera());
+    const { origin: rayOrigin, direction } = this.raycaster.ray;
+    const b = axis.dot(direction);
+    const denominator = 1 - b * b;
+    if (denominator < 1e-6) return null;
+    const w = new THREE.Vector3().subVectors(origin, rayOrigin);
+    return (b * direction.dot(w) - axis.dot(w)) / denominator;
+  }
+
+  // --- Box and Planes ---
+
+  // Keys are "box:<face>" with faces 0-5 as min x, max x, min y, ... and
+  // "plane:<side>"
+  getAxis(key) {
+    const [kind, id] = key.split(":");
+    return kind === "box" ? Math.floor(Number(id) / 2) : "xyz".indexOf(id[0]);
+  }
+
+  getValue(key) {
+    const [kind, id] = key.split(":");
+    if (kind === "plane")
+      return this.planes.find((plane) => plane.side === id).position;
+    const axis = this.getAxis(key);
+    return Number(id) % 2
+      ? this.box.max.getComponent(axis)
+      : this.box.min.getComponent(axis);
+  }
+
+  setValue(key, value) {
+    const [kind, id] = key.split(":");
+    if (kind === "plane") {
+      this.planes.find((plane) => plane.side === id).position = value;
+      return;
+    }
+    const axis = this.getAxis(key);
+    const { min, max } = this.box;
+    if (Number(id) % 2)
+      max.setComponent(
+        axis,
+        Math.max(value, min.getComponent(axis) + MIN_BOX_SIZE)
+      );
+    else
+      min.setComponent(
+        axis,
+        Math.min(value, max.getComponent(axis) - MIN_BOX_SIZE)
+      );
+  }
+
+  setBounds(box) {
+    this.bounds.copy(box);
+    this.updateGizmos();
+  }
+
+  // box: THREE.Box3 to keep the points inside of, or null
+  setSectionBox(box) {
+    this.box = box ? box.clone() : null;
+    this.update();
+  }
+
+  // Adds a plane cutting away `side`, or moves the one already there. With
+  // MAX_CLIP_PLANES in place, the oldest makes room.
+  setPlane(side, position) {
+    const plane = this.planes.find((p) => p.side === side);
+    if (plane) {
+      plane.position = position;
+    } else {
+      if (this.planes.length === MAX_CLIP_PLANES) this.planes.shift();
+      this.planes.push({ side, position });
+    }
+    this.update();
+  }
+
+  // Cuts away everything from just below the ceiling up, the top of the
+  // scene bounds standing in for an unknown ceiling height
+  removeCeiling(ceilingHeight) {
+    if (ceilingHeight === null && this.bounds.isEmpty()) return;
+    this.setPlane("y+", (ceilingHeight ?? this.bounds.max.y) - CEILING_MARGIN);
+  }
+
+  clear() {
+    this.box = null;
+    this.planes = [];
+    this.update();
+  }
+
+  setGizmosVisible(visible) {
+    this.group.visible = visible;
+    if (!visible) this.setHovered(null);
+  }
+
+  // Whether a point is cut away, for picking
+  isClipped(point) {
+    return this.clippingPlanes.some(
+      (plane) => plane.distanceToPoint(point) < 0
+    );
+  }
+
+  update() {
+    this.updateClippingPlanes();
+    this.updateGizmos();
+  }
+
+  // The section box's faces facing inwards, then the planes. Three.js clips
+  // what lies on the negative side of any of them.
+  updateClippingPlanes() {
+    const planes = this.clippingPlanes;
+    planes.length = 0;
+    if (this.box) {
+      for (let axis = 0; axis < 3; axis++) {
+        const normal = new THREE.Vector3().setComponent(axis, 1);
+        planes.push(
+          new THREE.Plane(normal, -this.box.min.getComponent(axis)),
+          new THREE.Plane(
+            normal.clone().negate(),
+            this.box.max.getComponent(axis)
+          )
+        );
+      }
+    }
+    for (const { side, position } of this.planes) {
+      const sign = side[1] === "+" ? -1 : 1;
+      const normal = new THREE.Vector3().setComponent(
+        "xyz".indexOf(side[0]),
+        sign
+      );
+      planes.push(new THREE.Plane(normal, -sign * position));
+    }
+  }
+
+  // --- Gizmos ---
+
+  updateGizmos() {
+    for (const child of [...this.group.children]) {
+      this.group.remove(child);
+      child.material.dispose();
+      // Handles and quads share their geometry
+      if (child.type === "Box3Helper") child.geometry.dispose();
+    }
+    this.handles = [];
+
+    if (this.box) {
+      this.group.add(new THREE.Box3Helper(this.box, BOX_COLOR));
+      const boxCenter = this.box.getCenter(new THREE.Vector3());
+      for (let face = 0; face < 6; face++) {
+        const axis = Math.floor(face / 2);
+        const position = boxCenter.clone();
+        position.setComponent(
+          axis,
+          (face % 2 ? this.box.max : this.box.min).getComponent(axis)
+        );
+        this.addHandle(`box:${face}`, position, BOX_COLOR);
+      }
+    }
+
+    const center = this.bounds.isEmpty()
+      ? new THREE.Vector3()
+      : this.bounds.getCenter(new THREE.Vector3());
+    const size = this.bounds.isEmpty()
+      ? new THREE.Vector3(1, 1, 1)
+      : this.bounds.getSize(new THREE.Vector3());
+    for (const { side, position } of this.planes) {
+      const axis = "xyz".indexOf(side[0]);
+      const point = center.clone().setComponent(axis, position);
+      const quad = new THREE.Mesh(
+        this.planeGeometry,
+        new THREE.MeshBasicMaterial({
+          color: PLANE_COLOR,
+          transparent: true,
+          opacity: 0.15,
+          side: THREE.DoubleSide,
+          depthWrite: false,
+        })
+      );
+      // The quad lies in its xy plane; turn its normal onto the axis
+      if (axis === 0) quad.rotation.y = Math.PI / 2;
+      if (axis === 1) quad.rotation.x = -Math.PI / 2;
+      const [width, height] = [0, 1, 2]
+        .filter((a) => a !== axis)
+        .map((a) => size.getComponent(a) * 1.1);
+      quad.scale.set(
+        axis === 0 ? height : width,
+        axis === 0 ? width : height,
+        1
+      );
+      quad.position.copy(point);
+      this.group.add(quad);
+      this.addHandle(`plane:${side}`, point, PLANE_COLOR);
+    }
+    this.scaleHandles(this.getCamera());
+  }
+
+  addHandle(key, position, color) {
+    const handle = new THREE.Mesh(
+      this.handleGeometry,
+      new THREE.MeshBasicMaterial({
+        color: key === this.hoveredKey ? HOVER_COLOR : color,
+        depthTest: false,
+      })
+    );
+    handle.renderOrder = 1; // Drawn over the points
+    handle.position.copy(position);
+    handle.userData.key = key;
+    this.handles.push(handle);
+    this.group.add(handle);
+  }
+
+  // Keeps handles the same size on screen; call before rendering
+  scaleHandles(camera) {
+    const worldHeight = camera.isOrthographicCamera
+      ? (camera.top - camera.bottom) / camera.zoom
+      : null;
+    for (const handle of this.handles) {
+      const distance =
+        worldHeight ?? camera.position.distanceTo(handle.position);
+      handle.scale.setScalar(distance * HANDLE_SCALE);
+    }
+  }
+}
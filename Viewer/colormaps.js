@@ -0,0 +1,58 @@
+// colormaps.js
+
+const RAMP_SIZE = 256; // Texels per ramp texture
+
+// Color stops from low to high, evenly spaced
+export const COLORMAPS = {
+  viridis: [
+    [0.267, 0.005, 0.329],
+    [0.231, 0.322, 0.545],
+    [0.128, 0.567, 0.551],
+    [0.369, 0.789, 0.383],
+    [0.993, 0.906, 0.144],
+  ],
+  turbo: [
+    [0.19, 0.072, 0.232],
+    [0.269, 0.415, 0.935],
+    [0.148, 0.74, 0.881],
+    [0.25, 0.953, 0.573],
+    [0.589, 0.982, 0.313],
+    [0.932, 0.814, 0.177],
+    [1, 0.502, 0.114],
+    [0.786, 0.175, 0.047],
+    [0.566, 0.05, 0],
+  ],
+  grayscale: [
+    [0.1, 0.1, 0.1],
+    [1, 1, 1],
+  ],
+  // Still (dark blue) to fast (red)
+  speed: [
+    [0.15, 0.2, 0.6],
+    [0.1, 0.6, 0.9],
+    [0.2, 0.8, 0.3],
+    [0.95, 0.85, 0.1],
+    [0.9, 0.15, 0.1],
+  ],
+};
+
+// A RAMP_SIZE x 1 texture for shaders to look a value in [0, 1] up in
+export function createRampTexture(stops) {
+  const data = new Uint8Array(RAMP_SIZE * 4);
+  const last = stops.length - 1;
+  for (let i = 0; i < RAMP_SIZE; i++) {
+    const t = (i / (RAMP_SIZE - 1)) * last;
+    const k = Math.min(last - 1, Math.floor(t));
+    const f = t - k;
+    for (let c = 0; c < 3; c++) {
+      const value = stops[k][c] + (stops[k + 1][c] - stops[k][c]) * f;
+      data[i * 4 + c] = Math.round(value * 255);
+    }
+    data[i * 4 + 3] = 255;
+  }
+  const texture = new THREE.DataTexture(data, RAMP_SIZE, 1, THREE.RGBAFormat);
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+  return texture;
+}
@@ -1,10 +1,31 @@
 // dataManager.js
 
+import { ParserPool, ParseCancelledError } from "./parserPool.js";
+import { FrameStreamer } from "./frameStreamer.js";
+import { FrameCache, DEFAULT_CACHE_LIMIT_MB } from "./frameCache.js";
+import { LabelRegistry } from "./labelRegistry.js";
+import { LabelTaxonomy } from "./taxonomy.js";
+import { getSpeeds, SEARCH_RADIUS } from "./motion.js";
+import { MotionAnalyzer } from "./motionAnalyzer.js";
+
+const CACHE_LIMIT_STORAGE_KEY = "pointcloud-viewer.cacheLimitMB";
+const LABEL_COLORS_STORAGE_PREFIX = "pointcloud-viewer.labelColors.";
+
 export class DataManager {
   constructor() {
-    this.parserWorker = new Worker("parser.js");
+    this.parserPool = new ParserPool();
+    this.motionAnalyzer = new MotionAnalyzer();
+    this.cacheLookups = new Set(); // { tag, cancelled } of jobs not yet pooled
+    this.frameCache = new FrameCache(this.getCacheLimit());
     this.datasetStructure = {};
+    this.datasetName = "";
+    this.taxonomyFile = null; // labels.json at the dataset root, if any
+    this.labels = new LabelRegistry();
     this.colorMap = this.createColorMap();
+    this.customColors = {}; // Label name -> RGB picked in the legend
+    this.labelPalette = new Float32Array(0); // RGB per label id
+    this.displacements = new WeakMap(); // Frame -> { reference, values }
+    this.clearances = new WeakMap(); // Frame -> { reference, values }
   }
 
   getSceneData(path) {
@@ -16,11 +37,24 @@ export class DataManager {
 
   async buildDatasetStructure(files) {
     this.datasetStructure = {};
+    this.labels.reset();
+    this.labelPalette = new Float32Array(0);
+    this.datasetName = "";
+    this.taxonomyFile = null;
+    this.setTaxonomy(null);
     const structure = {};
     for (const file of Array.from(files)) {
       const pathParts = file.webkitRelativePath.split("/");
+      if (
+        pathParts.length === 2 &&
+        pathParts[1].toLowerCase() === "labels.json"
+      ) {
+        this.taxonomyFile = file;
+        continue;
+      }
       if (pathParts.length !== 6) continue;
 
+      if (!this.datasetName) this.datasetName = pathParts[0];
       const [, room, scene, seed, subfolder, filename] = pathParts;
 
       if (!structure[room]) structure[room] = {};
@@ -76,6 +110,7 @@ export class DataManager {
       }
     }
     this.datasetStructure = structure;
+    this.customColors = this.loadCustomColors();
     return this.datasetStructure;
   }
 
@@ -98,95 +133,243 @@ export class DataManager {
     }
   }
 
-  async loadPointCloudData(sceneData) {
-    const parseFile = (file) =>
-      new Promise((resolve, reject) => {
-        const messageId = Math.random();
-        const handler = (event) => {
-          if (event.data.id === messageId) {
-            this.parserWorker.removeEventListener("message", handler);
-            if (event.data.success) {
-              resolve(event.data.payload);
-            } else {
-              reject(new Error(event.data.error));
-            }
-          }
-        };
-        this.parserWorker.addEventListener("message", handler);
-        this.parserWorker.postMessage({ id: messageId, file: file });
-      });
-
-    const promises = sceneData.prompt.pointCloudFiles.map((file) =>
-      parseFile(file).catch((e) => {
-        console.error(`Failed to load frame ${file.name}:`, e);
-        return null; // Don't let one bad file stop everything
-      })
-    );
+  // --- Point Cloud Loading ---
 
-    if (sceneData.seedData.staticCloudFile) {
-      promises.unshift(
-        parseFile(sceneData.seedData.staticCloudFile).catch((e) => {
-          console.error(
-            `Failed to load static cloud ${sceneData.seedData.staticCloudFile.name}:`,
-            e
-          );
-          return null;
-        })
-      );
+  // Decoded frames come from the IndexedDB cache when the same file (path,
+  // size and modification time) was parsed before. Jobs are cancellable
+  // while they wait on the cache, before the parser pool knows of them.
+  async parseFile(file, options = {}) {
+    const lookup = { tag: options.tag ?? null, cancelled: false };
+    this.cacheLookups.add(lookup);
+    let cached;
+    try {
+      cached = await this.frameCache.get(file);
+    } finally {
+      this.cacheLookups.delete(lookup);
     }
+    if (lookup.cancelled) throw new ParseCancelledError(file.name);
+    if (cached) return this.labels.adoptFrame(cached);
+    const frame = await this.parserPool.parse(file, options);
+    this.frameCache.put(file, frame);
+    return this.labels.adoptFrame(frame);
+  }
 
-    const results = await Promise.all(promises);
+  reprioritizeParsing(getPriority) {
+    this.parserPool.reprioritize(getPriority);
+  }
 
-    let staticFrame = null;
-    let frames = [];
-    if (sceneData.seedData.staticCloudFile) {
-      staticFrame = results.shift();
-      frames = results.filter((f) => f !== null);
-    } else {
-      frames = results.filter((f) => f !== null);
+  cancelParsing(predicate) {
+    for (const lookup of this.cacheLookups)
+      if (!lookup.cancelled && predicate(lookup.tag)) lookup.cancelled = true;
+    this.parserPool.cancel(predicate);
+  }
+
+  cancelLoading() {
+    for (const lookup of this.cacheLookups) lookup.cancelled = true;
+    this.parserPool.cancelAll();
+    this.motionAnalyzer.cancelAll();
+  }
+
+  async loadStaticCloud(sceneData, onProgress = () => {}) {
+    const file = sceneData.seedData.staticCloudFile;
+    if (!file) return null;
+    try {
+      return await this.parseFile(file, { priority: -1, onProgress });
+    } catch (e) {
+      if (e instanceof ParseCancelledError) throw e;
+      console.error(`Failed to load static cloud ${file.name}:`, e);
+      return null;
     }
+  }
 
-    return { frames, staticFrame };
+  createFrameStreamer(sceneData, options) {
+    return new FrameStreamer(sceneData.prompt.pointCloudFiles, this, options);
   }
 
-  // --- Color Generation ---
+  // --- Frame Cache ---
 
-  getColorsForFrame(frameData, mode) {
-    switch (mode) {
-      case "rgb":
-        return frameData.colors;
-      case "normal":
-        return this.generateNormalColors(frameData.normals);
-      case "label":
-      default:
-        return this.generateLabelColors(frameData.labels);
+  getCacheLimit() {
+    const stored = parseInt(localStorage.getItem(CACHE_LIMIT_STORAGE_KEY), 10);
+    return isNaN(stored) ? DEFAULT_CACHE_LIMIT_MB : stored;
+  }
+
+  setCacheLimit(megabytes) {
+    localStorage.setItem(CACHE_LIMIT_STORAGE_KEY, String(megabytes));
+    return this.frameCache.setLimit(megabytes);
+  }
+
+  clearCache() {
+    return this.frameCache.clear();
+  }
+
+  getCacheUsage() {
+    return this.frameCache.getUsage();
+  }
+
+  // --- Label Taxonomy ---
+
+  async loadTaxonomy(file) {
+    this.setTaxonomy(await LabelTaxonomy.fromFile(file));
+  }
+
+  setTaxonomy(taxonomy) {
+    this.labels.setTaxonomy(taxonomy);
+    this.labelPalette = new Float32Array(0); // Rebuilt on next use
+  }
+
+  // --- Label Colors & Counts ---
+
+  loadCustomColors() {
+    try {
+      const stored = localStorage.getItem(
+        LABEL_COLORS_STORAGE_PREFIX + this.datasetName
+      );
+      return stored ? JSON.parse(stored) : {};
+    } catch (e) {
+      console.warn("Ignoring unreadable custom label colors:", e);
+      return {};
     }
   }
 
-  generateLabelColors(labels) {
-    const c = new Float32Array(labels.length * 3);
-    for (let i = 0; i < labels.length; i++) {
-      c.set(this.getColorForLabel(labels[i]), i * 3);
+  saveCustomColors() {
+    const key = LABEL_COLORS_STORAGE_PREFIX + this.datasetName;
+    if (Object.keys(this.customColors).length === 0) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, JSON.stringify(this.customColors));
     }
-    return c;
   }
 
-  generateNormalColors(normals) {
-    const colors = new Float32Array(normals.length);
-    for (let i = 0; i < normals.length; i++) {
-      colors[i] = (normals[i] + 1) / 2; // Map [-1, 1] to [0, 1]
+  getLabelColor(id) {
+    return Array.from(this.getLabelPalette().subarray(id * 3, id * 3 + 3));
+  }
+
+  setLabelColor(id, color) {
+    this.customColors[this.labels.getName(id)] = color;
+    this.getLabelPalette().set(color, id * 3);
+    this.saveCustomColors();
+  }
+
+  resetLabelColors() {
+    this.customColors = {};
+    this.labelPalette = new Float32Array(0); // Rebuilt on next use
+    this.saveCustomColors();
+  }
+
+  // Points per label id in a frame, indexed by label id
+  countLabels(frameData) {
+    const counts = new Uint32Array(this.labels.size);
+    if (!frameData) return counts;
+    const { labelIds, pointCount } = frameData;
+    for (let i = 0; i < pointCount; i++) counts[labelIds[i]]++;
+    return counts;
+  }
+
+  // --- Colors ---
+
+  // Label colors indexed by label id, extended as new labels are registered
+  getLabelPalette() {
+    const known = this.labelPalette.length / 3;
+    if (known < this.labels.size) {
+      const palette = new Float32Array(this.labels.size * 3);
+      palette.set(this.labelPalette);
+      for (let id = known; id < this.labels.size; id++) {
+        palette.set(this.getColorForLabel(this.labels.getName(id)), id * 3);
+      }
+      this.labelPalette = palette;
     }
-    return colors;
+    return this.labelPalette;
+  }
+
+  // How far each point moved since the previous frame, in m; see
+  // computeDisplacements. Computed on a worker and cached per frame pair;
+  // tag is passed on to MotionAnalyzer.
+  getDisplacements(frameData, previousFrame, tag = null) {
+    return this.getCachedResult(
+      this.displacements,
+      frameData,
+      previousFrame,
+      (onCancel) =>
+        this.motionAnalyzer.computeDisplacements(frameData, previousFrame, {
+          tag,
+          onCancel,
+        })
+    );
+  }
+
+  // Per-point speeds in m/s against the previous frame, for the speed color
+  // mode
+  async getPointSpeeds(frameData, previousFrame, fps, tag = null) {
+    const displacements = await this.getDisplacements(
+      frameData,
+      previousFrame,
+      tag
+    );
+    return getSpeeds(displacements, fps);
+  }
+
+  // Displacements for the change color mode, with jumps capped at
+  // SEARCH_RADIUS to keep Infinity out of the shader
+  async getPointChanges(frameData, previousFrame, tag = null) {
+    const displacements = await this.getDisplacements(
+      frameData,
+      previousFrame,
+      tag
+    );
+    return displacements.map((d) => Math.min(d, SEARCH_RADIUS));
+  }
+
+  // The promise compute(onCancel) returns, cached per frame and reference
+  // frame. Failed results are dropped so they can be asked for again, and
+  // cancelled ones at once, so a caller right after the cancellation starts
+  // a new job instead of sharing the rejected one.
+  getCachedResult(cache, frameData, reference, compute) {
+    const cached = cache.get(frameData);
+    if (cached && cached.reference === reference) return cached.values;
+    let values = null;
+    const drop = () => {
+      const entry = cache.get(frameData);
+      if (entry && entry.values === values) cache.delete(frameData);
+    };
+    values = compute(drop);
+    cache.set(frameData, { reference, values });
+    values.catch(drop);
+    return values;
+  }
+
+  // Distances to the static scene for the clearance color mode, computed
+  // on a worker like getDisplacements
+  getClearances(frameData, staticFrame, tag = null) {
+    return this.getCachedResult(
+      this.clearances,
+      frameData,
+      staticFrame,
+      (onCancel) =>
+        this.motionAnalyzer.computeClearances(frameData, staticFrame, {
+          tag,
+          onCancel,
+        })
+    );
   }
 
   getColorForLabel(label) {
+    if (this.customColors[label]) return this.customColors[label];
+    // A taxonomy maps labels exactly; anything it doesn't know gets a hash
+    const taxonomy = this.labels.taxonomy;
+    if (taxonomy) return taxonomy.getColor(label) || this.hashColor(label);
+
     const l = String(label).toLowerCase();
     if (this.colorMap[label]) return this.colorMap[label];
     if (this.colorMap[l]) return this.colorMap[l];
     for (const k in this.colorMap) {
       if (l.includes(k.toLowerCase())) return this.colorMap[k];
     }
-    // Fallback to a generated color based on a hash of the label
+    return this.hashColor(label);
+  }
+
+  // Fallback to a generated color based on a hash of the label
+  hashColor(label) {
+    const l = String(label).toLowerCase();
     let hash = 0;
     for (let i = 0; i < l.length; i++) {
       hash = l.charCodeAt(i) + ((hash << 5) - hash);
@@ -0,0 +1,164 @@
+// frameCache.js
+
+import { getFrameBytes } from "./frameStreamer.js";
+
+const DB_NAME = "pointcloud-viewer-cache";
+const DB_VERSION = 1;
+// Bump when the decoded frame layout changes so stale entries are ignored
+const CACHE_FORMAT = 2;
+export const DEFAULT_CACHE_LIMIT_MB = 4096;
+
+// Persists decoded frames in IndexedDB, keyed by file path, size and
+// modification time. Frame data and bookkeeping live in separate stores so
+// touching an entry for LRU doesn't rewrite its arrays.
+export class FrameCache {
+  constructor(limitMB = DEFAULT_CACHE_LIMIT_MB) {
+    this.limit = limitMB * 1024 * 1024;
+    this.totalBytes = 0;
+    this.lastAccess = 0;
+    this.db = null;
+    this.ready = this.open().catch((error) => {
+      console.warn("Frame cache unavailable, continuing without it:", error);
+      this.db = null;
+    });
+  }
+
+  open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore("frames");
+        const entries = db.createObjectStore("entries", { keyPath: "key" });
+        entries.createIndex("lastAccess", "lastAccess");
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        this.computeTotalBytes().then(resolve, reject);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async computeTotalBytes() {
+    const entries = await promisifyRequest(
+      this.db.transaction("entries").objectStore("entries").getAll()
+    );
+    this.totalBytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+  }
+
+  getKey(file) {
+    const path = file.webkitRelativePath || file.name;
+    return `${CACHE_FORMAT}|${path}|${file.size}|${file.lastModified}`;
+  }
+
+  // Strictly increasing, so accesses within one millisecond keep their order
+  nextAccessTime() {
+    this.lastAccess = Math.max(Date.now(), this.lastAccess + 1);
+    return this.lastAccess;
+  }
+
+  async get(file) {
+    await this.ready;
+    if (!this.db || this.limit === 0) return null;
+    const key = this.getKey(file);
+    try {
+      const tx = this.db.transaction(["frames", "entries"], "readwrite");
+      const frame = await promisifyRequest(tx.objectStore("frames").get(key));
+      if (!frame) return null;
+      const entries = tx.objectStore("entries");
+      const entry = await promisifyRequest(entries.get(key));
+      if (entry) {
+        entry.lastAccess = this.nextAccessTime();
+        entries.put(entry);
+      }
+      return frame;
+    } catch (error) {
+      console.warn(`Frame cache read failed for ${key}:`, error);
+      return null;
+    }
+  }
+
+  async put(file, frame) {
+    // Snapshot before awaiting: callers replace fields (e.g. label ids) later
+    const record = { ...frame };
+    await this.ready;
+    if (!this.db || this.limit === 0 || !frame) return;
+    const key = this.getKey(file);
+    const bytes = getFrameBytes(record);
+    if (bytes > this.limit) return;
+    try {
+      const tx = this.db.transaction(["frames", "entries"], "readwrite");
+      const entries = tx.objectStore("entries");
+      const previous = await promisifyRequest(entries.get(key));
+      if (previous) this.totalBytes -= previous.bytes;
+      tx.objectStore("frames").put(record, key);
+      entries.put({ key, bytes, lastAccess: this.nextAccessTime() });
+      await promisifyTransaction(tx);
+      this.totalBytes += bytes;
+      await this.evict();
+    } catch (error) {
+      // Quota errors and the like just mean this frame isn't cached
+      console.warn(`Frame cache write failed for ${key}:`, error);
+    }
+  }
+
+  // Removes least recently used entries until the cache fits its limit
+  async evict() {
+    if (this.totalBytes <= this.limit) return;
+    const tx = this.db.transaction(["frames", "entries"], "readwrite");
+    const frames = tx.objectStore("frames");
+    const cursorRequest = tx
+      .objectStore("entries")
+      .index("lastAccess")
+      .openCursor();
+    await new Promise((resolve, reject) => {
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || this.totalBytes <= this.limit) return resolve();
+        this.totalBytes -= cursor.value.bytes;
+        frames.delete(cursor.value.key);
+        cursor.delete();
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+    await promisifyTransaction(tx);
+  }
+
+  async setLimit(limitMB) {
+    this.limit = limitMB * 1024 * 1024;
+    await this.ready;
+    if (this.db) await this.evict();
+  }
+
+  async clear() {
+    await this.ready;
+    if (!this.db) return;
+    const tx = this.db.transaction(["frames", "entries"], "readwrite");
+    tx.objectStore("frames").clear();
+    tx.objectStore("entries").clear();
+    await promisifyTransaction(tx);
+    this.totalBytes = 0;
+  }
+
+  async getUsage() {
+    await this.ready;
+    return this.totalBytes;
+  }
+}
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function promisifyTransaction(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
@@ -0,0 +1,232 @@
+// frameStreamer.js
+
+import { ParseCancelledError } from "./parserPool.js";
+
+export const DEFAULT_MEMORY_BUDGET_MB = 2048;
+const PREFETCH_AHEAD = 30; // Frames decoded ahead of the current one
+const KEEP_BEHIND = 5; // Minimum frames kept behind it for stepping back
+
+// Keeps a sliding window of decoded frames around the current frame. Frames
+// ahead are prefetched in playback order, and once the decoded frames exceed
+// the memory budget the ones farthest from the window are evicted.
+export class FrameStreamer {
+  constructor(
+    files,
+    dataManager,
+    { memoryBudgetMB = DEFAULT_MEMORY_BUDGET_MB, onChange = () => {} } = {}
+  ) {
+    this.files = files;
+    this.dataManager = dataManager;
+    this.memoryBudget = memoryBudgetMB * 1024 * 1024;
+    this.onChange = onChange;
+
+    this.frames = new Array(files.length).fill(null);
+    this.states = new Array(files.length).fill("empty"); // empty, loading, loaded, error
+    this.requests = new Map(); // index -> Promise
+    this.loadedBytes = 0;
+    this.loadedCount = 0;
+    this.currentFrame = 0;
+    this.keepBehind = KEEP_BEHIND;
+    this.urgentFrame = -1; // A frame someone is waiting on
+    this.disposed = false;
+  }
+
+  get frameCount() {
+    return this.files.length;
+  }
+
+  isLoaded(index) {
+    return this.states[index] === "loaded";
+  }
+
+  // Loaded, or failed for good; either way there is nothing to wait for
+  isReady(index) {
+    return this.states[index] === "loaded" || this.states[index] === "error";
+  }
+
+  getLoadedFrame(index) {
+    return this.frames[index];
+  }
+
+  getFrameStates() {
+    return this.states;
+  }
+
+  // Resolves with the decoded frame (or null if it failed), loading it ahead
+  // of everything else if needed.
+  getFrame(index) {
+    if (this.isLoaded(index)) return Promise.resolve(this.frames[index]);
+    if (this.states[index] === "error") return Promise.resolve(null);
+    this.urgentFrame = index;
+    if (this.requests.has(index)) {
+      this.dataManager.reprioritizeParsing((tag, priority) =>
+        this.getJobPriority(tag, priority)
+      );
+      return this.requests.get(index);
+    }
+    return this.request(index);
+  }
+
+  setCurrentFrame(index) {
+    this.currentFrame = index;
+    if (this.urgentFrame !== index) this.urgentFrame = -1;
+
+    // Jobs that fell out of the window are no longer worth decoding
+    this.dataManager.cancelParsing((tag) => {
+      if (!tag || tag.streamer !== this) return false;
+      if (tag.index === this.urgentFrame || this.isInWindow(tag.index))
+        return false;
+      this.states[tag.index] = "empty";
+      this.requests.delete(tag.index);
+      return true;
+    });
+    this.dataManager.reprioritizeParsing((tag, priority) =>
+      this.getJobPriority(tag, priority)
+    );
+    for (const i of this.getWindowIndices()) {
+      if (this.states[i] === "empty") this.request(i);
+    }
+    this.evict();
+  }
+
+  request(index) {
+    this.states[index] = "loading";
+    // A cancelled request may settle after a newer one for the same frame
+    const isCurrent = () =>
+      !this.disposed && this.requests.get(index) === promise;
+    const promise = this.dataManager
+      .parseFile(this.files[index], {
+        priority: this.getPriority(index),
+        tag: { streamer: this, index },
+      })
+      .then(
+        (frame) => {
+          if (!isCurrent()) return frame;
+          this.frames[index] = frame;
+          this.states[index] = "loaded";
+          this.loadedBytes += getFrameBytes(frame);
+          this.loadedCount++;
+          this.requests.delete(index);
+          this.evict();
+          this.onChange();
+          return frame;
+        },
+        (error) => {
+          if (error instanceof ParseCancelledError) throw error;
+          console.error(
+            `Failed to load frame ${this.files[index].name}:`,
+            error
+          );
+          if (isCurrent()) {
+            this.states[index] = "error";
+            this.requests.delete(index);
+            this.onChange();
+          }
+          return null; // Don't let one bad file stop playback
+        }
+      );
+    this.requests.set(index, promise);
+    // Prefetches are fire-and-forget; only getFrame callers see cancellation
+    promise.catch(() => {});
+    this.onChange();
+    return promise;
+  }
+
+  // --- Window & Priorities ---
+
+  getAheadCount() {
+    if (this.loadedCount === 0) return PREFETCH_AHEAD;
+    const averageBytes = this.loadedBytes / this.loadedCount;
+    const affordable = Math.floor(this.memoryBudget / averageBytes);
+    return Math.max(
+      1,
+      Math.min(PREFETCH_AHEAD, affordable - this.keepBehind - 1)
+    );
+  }
+
+  // Offset of a frame relative to the current one, wrapping ahead because
+  // playback loops. Negative offsets are frames behind.
+  getOffset(index) {
+    const n = this.frameCount;
+    const ahead = (index - this.currentFrame + n) % n;
+    const behind = (this.currentFrame - index + n) % n;
+    return behind > 0 && behind <= this.keepBehind && behind < ahead
+      ? -behind
+      : ahead;
+  }
+
+  isInWindow(index) {
+    const offset = this.getOffset(index);
+    return offset < 0 || offset <= this.getAheadCount();
+  }
+
+  getWindowIndices() {
+    const n = this.frameCount;
+    const indices = [];
+    const ahead = Math.min(this.getAheadCount(), n - 1);
+    for (let i = 0; i <= ahead; i++) indices.push((this.currentFrame + i) % n);
+    for (let i = 1; i <= this.keepBehind && ahead + i < n; i++)
+      indices.push((this.currentFrame - i + n) % n);
+    return indices;
+  }
+
+  // Frames ahead in playback order first, frames behind count double
+  getPriority(index) {
+    if (index === this.urgentFrame) return -1;
+    const offset = this.getOffset(index);
+    return offset < 0 ? -offset * 2 : offset;
+  }
+
+  getJobPriority(tag, priority) {
+    return tag && tag.streamer === this
+      ? this.getPriority(tag.index)
+      : priority;
+  }
+
+  evict() {
+    if (this.loadedBytes <= this.memoryBudget) return;
+    const candidates = [];
+    for (let i = 0; i < this.frameCount; i++) {
+      if (this.isLoaded(i) && i !== this.currentFrame && i !== this.urgentFrame)
+        candidates.push(i);
+    }
+    // Farthest from the current frame goes first
+    candidates.sort((a, b) => this.getPriority(b) - this.getPriority(a));
+    for (const i of candidates) {
+      if (this.loadedBytes <= this.memoryBudget) break;
+      this.loadedBytes -= getFrameBytes(this.frames[i]);
+      this.loadedCount--;
+      this.frames[i] = null;
+      this.states[i] = "empty";
+    }
+    this.onChange();
+  }
+
+  setMemoryBudget(memoryBudgetMB) {
+    this.memoryBudget = memoryBudgetMB * 1024 * 1024;
+    this.setCurrentFrame(this.currentFrame);
+  }
+
+  // More frames behind the current one stay loaded, e.g. to draw them faded
+  setKeepBehind(count) {
+    this.keepBehind = Math.max(KEEP_BEHIND, count);
+    this.setCurrentFrame(this.currentFrame);
+  }
+
+  dispose() {
+    this.disposed = true;
+    this.dataManager.cancelParsing((tag) => tag && tag.streamer === this);
+    this.frames = [];
+    this.requests.clear();
+  }
+}
+
+export function getFrameBytes(frame) {
+  if (!frame) return 0;
+  return (
+    frame.positions.byteLength +
+    frame.colors.byteLength +
+    frame.normals.byteLength +
+    frame.labelIds.byteLength
+  );
+}
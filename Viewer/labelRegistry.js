@@ -0,0 +1,92 @@
+// labelRegistry.js
+
+const BACKGROUND_TERMS = ["default", "floor", "wall", "ceiling", "scene"];
+
+// Gives every label name seen in the dataset a stable id. Frames arrive from
+// the worker with ids into their own label table and are rewritten to these
+// ids, so coloring, boxes and filtering only ever compare small integers.
+export class LabelRegistry {
+  constructor() {
+    this.taxonomy = null;
+    this.reset();
+  }
+
+  reset() {
+    this.names = [];
+    this.ids = new Map();
+    this.background = [];
+    this.floor = [];
+    this.ceiling = [];
+  }
+
+  get size() {
+    return this.names.length;
+  }
+
+  getId(name) {
+    let id = this.ids.get(name);
+    if (id === undefined) {
+      id = this.names.length;
+      this.names.push(name);
+      this.ids.set(name, id);
+      this.background.push(this.classifyBackground(name));
+      this.floor.push(this.classifyPart(name, "floor"));
+      this.ceiling.push(this.classifyPart(name, "ceiling"));
+    }
+    return id;
+  }
+
+  // Without a taxonomy, well-known scene terms anywhere in the name count
+  classifyBackground(name) {
+    if (this.taxonomy) return this.taxonomy.isBackground(name);
+    const lower = name.toLowerCase();
+    return BACKGROUND_TERMS.some((t) => lower.includes(t));
+  }
+
+  // Whether a label is a floor, ceiling, ...: named so, or its class or an
+  // ancestor is
+  classifyPart(name, term) {
+    const names = this.taxonomy
+      ? this.taxonomy.getLineage(this.taxonomy.getClass(name))
+      : [name];
+    return names.some((n) => n.toLowerCase().includes(term));
+  }
+
+  setTaxonomy(taxonomy) {
+    this.taxonomy = taxonomy;
+    this.background = this.names.map((name) => this.classifyBackground(name));
+    this.floor = this.names.map((name) => this.classifyPart(name, "floor"));
+    this.ceiling = this.names.map((name) => this.classifyPart(name, "ceiling"));
+  }
+
+  getName(id) {
+    return this.names[id];
+  }
+
+  isBackground(id) {
+    return this.background[id];
+  }
+
+  isFloor(id) {
+    return this.floor[id];
+  }
+
+  isCeiling(id) {
+    return this.ceiling[id];
+  }
+
+  // Replaces a frame's per-file label ids (and table) with registry ids
+  adoptFrame(frame) {
+    if (!frame || !frame.labelTable) return frame;
+    const remap = frame.labelTable.map((name) => this.getId(name));
+    const identity = remap.every((id, local) => id === local);
+    if (!identity) {
+      const source = frame.labelIds;
+      const labelIds = new Uint16Array(source.length);
+      for (let i = 0; i < source.length; i++) labelIds[i] = remap[source[i]];
+      frame.labelIds = labelIds;
+    }
+    frame.labelTable = null;
+    return frame;
+  }
+}
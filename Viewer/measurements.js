@@ -0,0 +1,102 @@
+// measurements.js
+
+// Anchor points each measurement type needs
+export const MEASUREMENT_POINTS = { distance: 2, angle: 3, height: 1 };
+
+export const MEASUREMENT_NAMES = {
+  distance: "Distance",
+  angle: "Angle",
+  height: "Height",
+};
+
+// Least-squares plane y = a x + b z + c through the floor-labeled points of a
+// frame, as { point, normal } with the normal pointing up. Null if the frame
+// has fewer than three floor points.
+export function fitFloorPlane(frameData, isFloor) {
+  const { positions, labelIds, pointCount } = frameData;
+  let n = 0,
+    sx = 0,
+    sy = 0,
+    sz = 0;
+  for (let i = 0; i < pointCount; i++) {
+    if (!isFloor(labelIds[i])) continue;
+    n++;
+    sx += positions[i * 3];
+    sy += positions[i * 3 + 1];
+    sz += positions[i * 3 + 2];
+  }
+  if (n < 3) return null;
+
+  // Centered sums keep large coordinates from swamping the slope
+  const mx = sx / n,
+    my = sy / n,
+    mz = sz / n;
+  let xx = 0,
+    xz = 0,
+    zz = 0,
+    xy = 0,
+    zy = 0;
+  for (let i = 0; i < pointCount; i++) {
+    if (!isFloor(labelIds[i])) continue;
+    const x = positions[i * 3] - mx,
+      y = positions[i * 3 + 1] - my,
+      z = positions[i * 3 + 2] - mz;
+    xx += x * x;
+    xz += x * z;
+    zz += z * z;
+    xy += x * y;
+    zy += z * y;
+  }
+  const det = xx * zz - xz * xz;
+  // Points on a line (or one spot) only pin down a level plane
+  const a = Math.abs(det) > 1e-12 ? (xy * zz - zy * xz) / det : 0;
+  const b = Math.abs(det) > 1e-12 ? (zy * xx - xy * xz) / det : 0;
+  const length = Math.hypot(a, 1, b);
+  return {
+    point: [mx, my, mz],
+    normal: [-a / length, 1 / length, -b / length],
+  };
+}
+
+// Signed distance of a point above a plane
+export function getHeightAbovePlane(position, plane) {
+  const { point, normal } = plane;
+  return (
+    (position[0] - point[0]) * normal[0] +
+    (position[1] - point[1]) * normal[1] +
+    (position[2] - point[2]) * normal[2]
+  );
+}
+
+// Where a point drops onto a plane
+export function projectOntoPlane(position, plane) {
+  const height = getHeightAbovePlane(position, plane);
+  return position.map((c, k) => c - height * plane.normal[k]);
+}
+
+// Metres for distance and height, degrees for angles (at the middle point)
+export function computeMeasurement(type, positions, plane) {
+  switch (type) {
+    case "distance": {
+      const [p, q] = positions;
+      return Math.hypot(p[0] - q[0], p[1] - q[1], p[2] - q[2]);
+    }
+    case "angle": {
+      const [p, vertex, q] = positions;
+      const u = p.map((c, k) => c - vertex[k]);
+      const v = q.map((c, k) => c - vertex[k]);
+      const lengths = Math.hypot(...u) * Math.hypot(...v);
+      if (lengths === 0) return 0;
+      const cos = (u[0] * v[0] + u[1] * v[1] + u[2] * v[2]) / lengths;
+      return (Math.acos(Math.max(-1, Math.min(1, cos))) * 180) / Math.PI;
+    }
+    case "height":
+      return getHeightAbovePlane(positions[0], plane);
+    default:
+      throw new Error(`Unknown measurement type: ${type}`);
+  }
+}
+
+export function formatMeasurement(type, value) {
+  return type === "angle" ? `${value.toFixed(1)}°` : `${value.toFixed(3)} m`;
+}
@@ -0,0 +1,154 @@
+// motion.js
+
+const CELL_SIZE = 0.05; // Metres per grid cell for neighbor search
+const MAX_RINGS = 6; // Cells searched outwards; beyond that a point "jumped"
+export const SEARCH_RADIUS = MAX_RINGS * CELL_SIZE; // Farthest neighbor found
+export const SPEED_COLOR_MAX = 2; // m/s at the top of the speed ramp
+
+const correspondence = new WeakMap(); // Frame -> { frame, result }, see framesCorrespond
+const grids = new WeakMap(); // Frame -> grid, built once
+
+// How far each point moved since the previous frame, taken as the distance
+// to the nearest point with the same label there. Points have no identity
+// across frames, so sliding along a surface doesn't show, but jitter and
+// jumps do. Points with nothing within MAX_RINGS cells get Infinity.
+export function computeDisplacements(frameData, previousFrame) {
+  return findNearest(frameData, previousFrame, getGrid(previousFrame), true);
+}
+
+// Distance from each point to the nearest point of the static scene, capped
+// at SEARCH_RADIUS. Dynamic points touching or inside furniture come out
+// close to zero.
+export function computeClearances(frameData, staticFrame) {
+  const distances = findNearest(
+    frameData,
+    staticFrame,
+    getGrid(staticFrame),
+    false
+  );
+  for (let i = 0; i < distances.length; i++)
+    distances[i] = Math.min(distances[i], SEARCH_RADIUS);
+  return distances;
+}
+
+// Per-point speeds in m/s; jumps past the search radius count as fast
+export function getSpeeds(displacements, fps) {
+  const speeds = new Float32Array(displacements.length);
+  for (let i = 0; i < displacements.length; i++)
+    speeds[i] = Math.min(displacements[i] * fps, SPEED_COLOR_MAX);
+  return speeds;
+}
+
+// Centroid paths per tracked object from collectSequenceObjects() frames, as
+// [{ trackId, labelId, positions: [[x, y, z], ...] }] in frame order
+export function buildTrails(frames) {
+  const trails = new Map(); // track id -> trail
+  for (const { objects } of frames) {
+    for (const object of objects) {
+      let trail = trails.get(object.trackId);
+      if (!trail) {
+        trail = {
+          trackId: object.trackId,
+          labelId: object.labelId,
+          positions: [],
+        };
+        trails.set(object.trackId, trail);
+      }
+      trail.positions.push(object.centroid);
+    }
+  }
+  return [...trails.values()];
+}
+
+// Whether two frames hold the same points in the same order, so positions
+// can be blended between them. Only the labels can be compared, so this
+// trusts the sampler to keep each label's points in order.
+export function framesCorrespond(a, b) {
+  if (!a || !b || a.pointCount !== b.pointCount) return false;
+  const cached = correspondence.get(a);
+  if (cached && cached.frame === b) return cached.result;
+  let result = true;
+  for (let i = 0; i < a.pointCount && result; i++)
+    result = a.labelIds[i] === b.labelIds[i];
+  correspondence.set(a, { frame: b, result });
+  return result;
+}
+
+// Distance from each point to the nearest point of reference (with the same
+// label, if matchLabels), found through reference's grid; Infinity for
+// points with nothing within MAX_RINGS cells
+function findNearest(frameData, reference, grid, matchLabels) {
+  const { positions, labelIds, pointCount } = frameData;
+  const referencePositions = reference.positions;
+  const referenceLabels = reference.labelIds;
+  const distances = new Float32Array(pointCount);
+
+  for (let i = 0; i < pointCount; i++) {
+    const x = positions[i * 3],
+      y = positions[i * 3 + 1],
+      z = positions[i * 3 + 2];
+    const cx = Math.floor(x / CELL_SIZE),
+      cy = Math.floor(y / CELL_SIZE),
+      cz = Math.floor(z / CELL_SIZE);
+    const label = labelIds[i];
+    let best = Infinity; // Squared distance
+
+    for (let r = 0; r <= MAX_RINGS; r++) {
+      // Only the shell at distance r; inner shells were searched already
+      for (let dx = -r; dx <= r; dx++) {
+        for (let dy = -r; dy <= r; dy++) {
+          for (let dz = -r; dz <= r; dz++) {
+            if (Math.max(Math.abs(dx), Math.abs(dy), Math.abs(dz)) !== r)
+              continue;
+            const cell = grid.get(cellKey(cx + dx, cy + dy, cz + dz));
+            if (cell === undefined) continue;
+            for (const j of cell) {
+              if (matchLabels && referenceLabels[j] !== label) continue;
+              const ex = referencePositions[j * 3] - x,
+                ey = referencePositions[j * 3 + 1] - y,
+                ez = referencePositions[j * 3 + 2] - z;
+              const d = ex * ex + ey * ey + ez * ez;
+              if (d < best) best = d;
+            }
+          }
+        }
+      }
+      // Anything in a farther shell is at least r cells away
+      const reach = r * CELL_SIZE;
+      if (best <= reach * reach) break;
+    }
+    distances[i] = Math.sqrt(best);
+  }
+  return distances;
+}
+
+function getGrid(frameData) {
+  let grid = grids.get(frameData);
+  if (!grid) {
+    grid = buildGrid(frameData);
+    grids.set(frameData, grid);
+  }
+  return grid;
+}
+
+function buildGrid(frameData) {
+  const { positions, pointCount } = frameData;
+  const grid = new Map(); // cell key -> point indices
+  for (let i = 0; i < pointCount; i++) {
+    const key = cellKey(
+      Math.floor(positions[i * 3] / CELL_SIZE),
+      Math.floor(positions[i * 3 + 1] / CELL_SIZE),
+      Math.floor(positions[i * 3 + 2] / CELL_SIZE)
+    );
+    const cell = grid.get(key);
+    if (cell === undefined) grid.set(key, [i]);
+    else cell.push(i);
+  }
+  return grid;
+}
+
+// Unique for cell coordinates within +-2^16 cells (several km) of the origin
+function cellKey(x, y, z) {
+  const K = 131072; // 2^17
+  return ((x + 65536) * K + (y + 65536)) * K + (z + 65536);
+}
@@ -0,0 +1,154 @@
+// motionAnalyzer.js
+
+const MAX_HELD_FRAMES = 4; // Sequence frames the worker keeps
+const MAX_HELD_STATIC = 2; // Static scenes the worker keeps, e.g. a comparison's
+
+export class MotionCancelledError extends Error {
+  constructor() {
+    super("Motion analysis was cancelled");
+    this.name = "MotionCancelledError";
+  }
+}
+
+// Runs the neighbor searches of motion.js on a motionWorker.js worker, one
+// job at a time. Frames are copied over once and kept there for a while, so
+// stepping through a sequence sends each frame (and builds its search grid)
+// only once.
+export class MotionAnalyzer {
+  constructor() {
+    this.worker = null; // Started on first use
+    this.queue = [];
+    this.running = null;
+    this.nextJobId = 1;
+    this.frameIds = new WeakMap(); // Frame -> id on the worker
+    this.nextFrameId = 1;
+    this.heldFrames = []; // Ids the worker keeps, least recently used first
+    this.heldStatic = [];
+  }
+
+  // See computeDisplacements; resolves with a Float32Array
+  computeDisplacements(frameData, previousFrame, options) {
+    return this.run("displacements", frameData, previousFrame, false, options);
+  }
+
+  // See computeClearances; resolves with a Float32Array
+  computeClearances(frameData, staticFrame, options) {
+    return this.run("clearances", frameData, staticFrame, true, options);
+  }
+
+  // A waiting job is dropped for a newer one with the same (non-null) tag,
+  // so a cloud that moved on to another frame doesn't wait for old ones.
+  // onCancel runs synchronously when a job is dropped, before its promise
+  // rejects.
+  run(
+    type,
+    frame,
+    reference,
+    isStaticReference,
+    { tag = null, onCancel = () => {} } = {}
+  ) {
+    if (tag !== null) this.cancel((other) => other === tag);
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        id: this.nextJobId++,
+        type,
+        frame,
+        reference,
+        isStaticReference,
+        tag,
+        onCancel,
+        resolve,
+        reject,
+      });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    if (this.running || this.queue.length === 0) return;
+    const job = (this.running = this.queue.shift());
+    if (!this.worker) {
+      this.worker = new Worker("motionWorker.js", { type: "module" });
+      this.worker.addEventListener("message", (event) =>
+        this.handleMessage(event.data)
+      );
+    }
+    const transfer = [];
+    const release = [];
+    const frame = this.hold(
+      job.frame,
+      this.heldFrames,
+      MAX_HELD_FRAMES,
+      transfer,
+      release
+    );
+    const [held, limit] = job.isStaticReference
+      ? [this.heldStatic, MAX_HELD_STATIC]
+      : [this.heldFrames, MAX_HELD_FRAMES];
+    const reference = this.hold(job.reference, held, limit, transfer, release);
+    this.worker.postMessage(
+      { id: job.id, type: job.type, frame, reference, release },
+      transfer
+    );
+  }
+
+  // The frame's id on the worker, with a copy of its data unless the worker
+  // still has it. The least recently used frames beyond limit are released.
+  hold(frameData, held, limit, transfer, release) {
+    let id = this.frameIds.get(frameData);
+    if (id === undefined) {
+      id = this.nextFrameId++;
+      this.frameIds.set(frameData, id);
+    }
+    const index = held.indexOf(id);
+    if (index !== -1) held.splice(index, 1);
+    held.push(id);
+    if (held.length > limit) release.push(held.shift());
+    if (index !== -1) return { id };
+
+    const { pointCount } = frameData;
+    const data = {
+      pointCount,
+      positions: frameData.positions.slice(0, pointCount * 3),
+      labelIds: frameData.labelIds.slice(0, pointCount),
+    };
+    transfer.push(data.positions.buffer, data.labelIds.buffer);
+    return { id, data };
+  }
+
+  handleMessage({ id, values, error }) {
+    const job = this.running;
+    if (!job || job.id !== id) return;
+    this.running = null;
+    if (!job.cancelled) {
+      if (error === undefined) job.resolve(values);
+      else job.reject(new Error(error));
+    }
+    this.dispatch();
+  }
+
+  // Waiting jobs whose tag matches are rejected; a running one finishes
+  cancel(predicate) {
+    this.queue = this.queue.filter((job) => {
+      if (!predicate(job.tag)) return true;
+      job.onCancel();
+      job.reject(new MotionCancelledError());
+      return false;
+    });
+  }
+
+  // Rejects every job and lets the worker drop its frames, e.g. on a scene
+  // switch
+  cancelAll() {
+    this.cancel(() => true);
+    if (this.running && !this.running.cancelled) {
+      this.running.cancelled = true;
+      this.running.onCancel();
+      this.running.reject(new MotionCancelledError());
+    }
+    const release = [...this.heldFrames, ...this.heldStatic];
+    this.heldFrames = [];
+    this.heldStatic = [];
+    if (this.worker && release.length > 0) this.worker.postMessage({ release });
+  }
+}
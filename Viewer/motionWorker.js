@@ -0,0 +1,30 @@
+// motionWorker.js
+
+import { computeDisplacements, computeClearances } from "./motion.js";
+
+// Id -> { positions, labelIds, pointCount }, as sent by MotionAnalyzer. Kept
+// until released, so neither the copy nor the search grid is made twice.
+const frames = new Map();
+
+self.onmessage = (event) => {
+  const { id, type, frame, reference, release = [] } = event.data;
+  for (const frameId of release) frames.delete(frameId);
+  if (id === undefined) return; // Only releasing
+
+  try {
+    const frameData = getFrame(frame);
+    const referenceData = getFrame(reference);
+    const values =
+      type === "clearances"
+        ? computeClearances(frameData, referenceData)
+        : computeDisplacements(frameData, referenceData);
+    self.postMessage({ id, values }, [values.buffer]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
+
+function getFrame({ id, data }) {
+  if (data) frames.set(id, data);
+  return frames.get(id);
+}
@@ -0,0 +1,175 @@
+// objectTracker.js
+
+const TRACK_GATE = 1.0; // Metres an object may move per frame and keep its id
+
+// Fits one oriented box per label in a frame. The box is upright (scenes are
+// y-up) and rotated about y to the principal axis of the points' footprint,
+// so boxes stay stable for objects standing on the floor.
+//
+// Returns [{ labelId, pointCount, centroid, center, size, yaw }], where size
+// is measured along the box's local x (major axis), y (up) and z.
+export function computeOrientedBoxes(frameData, includeLabel) {
+  const { positions, labelIds, pointCount } = frameData;
+  const groups = new Map(); // label id -> running sums
+
+  for (let i = 0; i < pointCount; i++) {
+    const id = labelIds[i];
+    let g = groups.get(id);
+    if (g === undefined) {
+      if (!includeLabel(id)) {
+        groups.set(id, null);
+        continue;
+      }
+      g = { n: 0, x: 0, y: 0, z: 0, xx: 0, xz: 0, zz: 0 };
+      groups.set(id, g);
+    }
+    if (g === null) continue;
+    const x = positions[i * 3],
+      y = positions[i * 3 + 1],
+      z = positions[i * 3 + 2];
+    g.n++;
+    g.x += x;
+    g.y += y;
+    g.z += z;
+    g.xx += x * x;
+    g.xz += x * z;
+    g.zz += z * z;
+  }
+
+  const boxes = [];
+  for (const [labelId, g] of groups) {
+    if (g === null || g.n < 2) continue;
+    const mx = g.x / g.n,
+      mz = g.z / g.n;
+    const cxx = g.xx / g.n - mx * mx;
+    const cxz = g.xz / g.n - mx * mz;
+    const czz = g.zz / g.n - mz * mz;
+    const angle = 0.5 * Math.atan2(2 * cxz, cxx - czz);
+    boxes.push({
+      labelId,
+      pointCount: g.n,
+      centroid: [mx, g.y / g.n, mz],
+      cos: Math.cos(angle),
+      sin: Math.sin(angle),
+      min: [Infinity, Infinity, Infinity],
+      max: [-Infinity, -Infinity, -Infinity],
+    });
+  }
+  if (boxes.length === 0) return boxes;
+
+  // Second pass: extents along the principal axes
+  const byLabel = new Map(boxes.map((box) => [box.labelId, box]));
+  for (let i = 0; i < pointCount; i++) {
+    const box = byLabel.get(labelIds[i]);
+    if (box === undefined) continue;
+    const x = positions[i * 3],
+      y = positions[i * 3 + 1],
+      z = positions[i * 3 + 2];
+    const u = x * box.cos + z * box.sin;
+    const v = z * box.cos - x * box.sin;
+    if (u < box.min[0]) box.min[0] = u;
+    if (y < box.min[1]) box.min[1] = y;
+    if (v < box.min[2]) box.min[2] = v;
+    if (u > box.max[0]) box.max[0] = u;
+    if (y > box.max[1]) box.max[1] = y;
+    if (v > box.max[2]) box.max[2] = v;
+  }
+
+  return boxes.map(({ labelId, pointCount, centroid, cos, sin, min, max }) => {
+    const u = (min[0] + max[0]) / 2,
+      v = (min[2] + max[2]) / 2;
+    return {
+      labelId,
+      pointCount,
+      centroid,
+      center: [u * cos - v * sin, (min[1] + max[1]) / 2, u * sin + v * cos],
+      size: [max[0] - min[0], max[1] - min[1], max[2] - min[2]],
+      yaw: -Math.atan2(sin, cos), // Rotation about y taking local x to the major axis
+    };
+  });
+}
+
+// Mean position of one label's points, or null if the frame has none
+export function computeLabelCentroid(frameData, labelId) {
+  if (!frameData) return null;
+  const { positions, labelIds, pointCount } = frameData;
+  let n = 0,
+    x = 0,
+    y = 0,
+    z = 0;
+  for (let i = 0; i < pointCount; i++) {
+    if (labelIds[i] !== labelId) continue;
+    n++;
+    x += positions[i * 3];
+    y += positions[i * 3 + 1];
+    z += positions[i * 3 + 2];
+  }
+  return n > 0 ? [x / n, y / n, z / n] : null;
+}
+
+// Gives boxes ids that persist across frames by matching each one to the
+// nearest known track of the same label, and estimates velocity from the
+// track's previous centroid.
+export class ObjectTracker {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.tracks = []; // { id, labelId, centroid, frame, velocity }
+    this.nextId = 1;
+  }
+
+  update(frameIndex, boxes, fps) {
+    const pairs = [];
+    boxes.forEach((box, b) => {
+      this.tracks.forEach((track, t) => {
+        if (track.labelId !== box.labelId) return;
+        const gap = Math.max(1, Math.abs(frameIndex - track.frame));
+        const distance = getDistance(box.centroid, track.centroid);
+        if (distance <= TRACK_GATE * gap) pairs.push({ b, t, distance });
+      });
+    });
+
+    // Greedy, closest pairs first
+    pairs.sort((a, b) => a.distance - b.distance);
+    const matches = new Array(boxes.length).fill(null);
+    const taken = new Set();
+    for (const { b, t } of pairs) {
+      if (matches[b] !== null || taken.has(t)) continue;
+      matches[b] = this.tracks[t];
+      taken.add(t);
+    }
+
+    return boxes.map((box, b) => {
+      let track = matches[b];
+      if (track === null) {
+        track = {
+          id: this.nextId++,
+          labelId: box.labelId,
+          centroid: box.centroid,
+          frame: frameIndex,
+          velocity: null,
+        };
+        this.tracks.push(track);
+      } else {
+        // Showing the same frame again keeps the velocity; going back has none
+        const gap = frameIndex - track.frame;
+        if (gap > 0) {
+          track.velocity = box.centroid.map(
+            (c, k) => ((c - track.centroid[k]) * fps) / gap
+          );
+        } else if (gap < 0) {
+          track.velocity = null;
+        }
+        track.centroid = box.centroid;
+        track.frame = frameIndex;
+      }
+      return { ...box, trackId: track.id, velocity: track.velocity };
+    });
+  }
+}
+
+function getDistance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
@@ -0,0 +1,186 @@
+// octree.js
+
+export const NODE_CAPACITY = 20_000; // Points kept in a node before its children
+const MAX_DEPTH = 12; // Deepest nodes keep everything, e.g. duplicate points
+const MAX_PIXEL_ERROR = 1.5; // Nodes whose points are closer on screen are skipped
+
+// Level of detail for a large, static point cloud. Points are shuffled, then
+// every node keeps the first NODE_CAPACITY that fall into it and passes the
+// rest on to its eight children, so each node is an even sample of its cube
+// and a node plus its ancestors is a denser one. Nodes reference runs of
+// `order`, which lists source indices grouped by node. The shuffle and sort
+// take seconds for millions of points, so they run on octreeWorker.js, see
+// buildPointOctree; this only turns their layout into nodes.
+export class PointOctree {
+  constructor({ order, min, max, nodes }) {
+    this.bounds = new THREE.Box3(
+      new THREE.Vector3().fromArray(min),
+      new THREE.Vector3().fromArray(max)
+    );
+    this.order = order;
+    const built = nodes.map(({ start, count, min, size }) => {
+      const corner = new THREE.Vector3().fromArray(min);
+      return {
+        start,
+        count,
+        box: new THREE.Box3(corner, corner.clone().addScalar(size)),
+        // Rough distance between neighbors, taking the points to lie on
+        // surfaces through the cube
+        spacing: size / Math.sqrt(NODE_CAPACITY),
+        children: [],
+      };
+    });
+    nodes.forEach(({ children }, i) => {
+      built[i].children = children.map((child) => built[child]);
+    });
+    this.root = built[0];
+  }
+
+  // Nodes worth drawing for a camera and viewport height in pixels. Nodes in
+  // view are refined widest on-screen spacing first, until the spacing is
+  // under MAX_PIXEL_ERROR or the next node would exceed the point budget.
+  select(camera, viewportHeight, budget) {
+    camera.updateMatrixWorld();
+    const frustum = new THREE.Frustum().setFromProjectionMatrix(
+      new THREE.Matrix4().multiplyMatrices(
+        camera.projectionMatrix,
+        camera.matrixWorldInverse
+      )
+    );
+    const eye = camera.getWorldPosition(new THREE.Vector3());
+    const pixelsPerUnit = camera.isOrthographicCamera
+      ? (viewportHeight * camera.zoom) / (camera.top - camera.bottom)
+      : viewportHeight /
+        (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+    const getError = (node) =>
+      camera.isOrthographicCamera
+        ? node.spacing * pixelsPerUnit
+        : (node.spacing * pixelsPerUnit) /
+          Math.max(node.box.distanceToPoint(eye), 1e-3);
+
+    const nodes = [];
+    let total = 0;
+    const queue = frustum.intersectsBox(this.root.box)
+      ? [{ node: this.root, error: Infinity }]
+      : [];
+    while (queue.length > 0) {
+      let best = 0;
+      for (let k = 1; k < queue.length; k++)
+        if (queue[k].error > queue[best].error) best = k;
+      const [{ node }] = queue.splice(best, 1);
+      if (total + node.count > budget) break;
+      nodes.push(node);
+      total += node.count;
+      for (const child of node.children) {
+        if (!frustum.intersectsBox(child.box)) continue;
+        const error = getError(child);
+        if (error > MAX_PIXEL_ERROR) queue.push({ node: child, error });
+      }
+    }
+    return nodes;
+  }
+}
+
+// Builds a PointOctree for frameData on a worker of its own, which gets a
+// copy of the positions. onBuilt is called with it unless the returned
+// function cancels the build first.
+export function buildPointOctree(frameData, onBuilt) {
+  const { pointCount } = frameData;
+  const positions = frameData.positions.slice(0, pointCount * 3);
+  const worker = new Worker("octreeWorker.js", { type: "module" });
+  worker.onmessage = (event) => {
+    worker.terminate();
+    onBuilt(new PointOctree(event.data));
+  };
+  worker.onerror = (event) => {
+    worker.terminate();
+    console.error("Failed to build the octree:", event.message);
+  };
+  worker.postMessage({ positions, pointCount }, [positions.buffer]);
+  return () => worker.terminate();
+}
+
+// The octree's layout, without THREE so workers can run it: bounds as [x,
+// y, z], `order`, and nodes as { start, count, min, size, children }, with
+// children as indices into nodes and the root first
+export function buildOctree(positions, pointCount) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < pointCount * 3; i += 3) {
+    for (let c = 0; c < 3; c++) {
+      min[c] = Math.min(min[c], positions[i + c]);
+      max[c] = Math.max(max[c], positions[i + c]);
+    }
+  }
+  const size = Math.max(
+    max[0] - min[0],
+    max[1] - min[1],
+    max[2] - min[2],
+    1e-3
+  );
+
+  const indices = new Uint32Array(pointCount);
+  for (let i = 0; i < pointCount; i++) indices[i] = i;
+  for (let i = pointCount - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    const swap = indices[i];
+    indices[i] = indices[j];
+    indices[j] = swap;
+  }
+
+  const order = new Uint32Array(pointCount);
+  const nodes = [];
+  let filled = 0;
+  const build = (indices, min, size, depth) => {
+    const count =
+      depth === MAX_DEPTH
+        ? indices.length
+        : Math.min(NODE_CAPACITY, indices.length);
+    const node = { start: filled, count, min, size, children: [] };
+    const index = nodes.push(node) - 1;
+    order.set(indices.subarray(0, count), filled);
+    filled += count;
+    const rest = indices.subarray(count);
+    if (rest.length === 0) return index;
+
+    // Counting sort into octants keeps the shuffled order within each
+    const half = size / 2;
+    const [mx, my, mz] = min.map((value) => value + half);
+    const octants = new Uint8Array(rest.length);
+    const counts = new Uint32Array(8);
+    for (let k = 0; k < rest.length; k++) {
+      const i = rest[k] * 3;
+      const octant =
+        (positions[i] >= mx ? 1 : 0) |
+        (positions[i + 1] >= my ? 2 : 0) |
+        (positions[i + 2] >= mz ? 4 : 0);
+      octants[k] = octant;
+      counts[octant]++;
+    }
+    const offsets = new Uint32Array(8);
+    for (let o = 1; o < 8; o++) offsets[o] = offsets[o - 1] + counts[o - 1];
+    const sorted = new Uint32Array(rest.length);
+    const next = offsets.slice();
+    for (let k = 0; k < rest.length; k++) sorted[next[octants[k]]++] = rest[k];
+
+    for (let o = 0; o < 8; o++) {
+      if (counts[o] === 0) continue;
+      const childMin = [
+        min[0] + (o & 1 ? half : 0),
+        min[1] + (o & 2 ? half : 0),
+        min[2] + (o & 4 ? half : 0),
+      ];
+      node.children.push(
+        build(
+          sorted.subarray(offsets[o], offsets[o] + counts[o]),
+          childMin,
+          half,
+          depth + 1
+        )
+      );
+    }
+    return index;
+  };
+  build(indices, min, size, 0);
+  return { order, min, max, nodes };
+}
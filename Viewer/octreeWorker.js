@@ -0,0 +1,10 @@
+// octreeWorker.js
+
+import { buildOctree } from "./octree.js";
+
+// Builds one octree layout, see buildPointOctree
+self.onmessage = (event) => {
+  const { positions, pointCount } = event.data;
+  const layout = buildOctree(positions, pointCount);
+  self.postMessage(layout, [layout.order.buffer]);
+};
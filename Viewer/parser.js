@@ -1,15 +1,35 @@
 // parser.js
 
+const PROGRESS_STEP = 0.02; // Report progress every 2% of a file
+
+class ParseCancelled extends Error {}
+
+let activeJobId = null;
+let activeJobCancelled = false;
+
 self.onmessage = async (event) => {
+  if (event.data.cancel !== undefined) {
+    if (event.data.cancel === activeJobId) activeJobCancelled = true;
+    return;
+  }
+
   const { id, file } = event.data;
+  activeJobId = id;
+  activeJobCancelled = false;
   try {
-    const content = await file.text();
+    const reader = new ChunkReader(
+      file,
+      (progress) => self.postMessage({ id: id, progress: progress }),
+      () => activeJobCancelled
+    );
     const ext = file.name.split(".").pop().toLowerCase();
     let frameData;
     if (ext === "pcd") {
-      frameData = parsePCD(content);
-    } else if (["ply", "xyz", "txt"].includes(ext)) {
-      frameData = parseGeneric(content, ext);
+      frameData = await parsePCD(reader);
+    } else if (ext === "ply") {
+      frameData = await parsePLY(reader);
+    } else if (["xyz", "txt"].includes(ext)) {
+      frameData = await parseGeneric(reader);
     } else {
       throw new Error(`Unsupported file format: ${ext}`);
     }
@@ -23,86 +43,444 @@ self.onmessage = async (event) => {
       },
       [
         frameData.positions.buffer,
+        frameData.labelIds.buffer,
         frameData.colors.buffer,
         frameData.normals.buffer,
       ]
     );
   } catch (error) {
-    self.postMessage({ id: id, success: false, error: error.message });
+    self.postMessage({
+      id: id,
+      success: false,
+      cancelled: error instanceof ParseCancelled,
+      error: error.message,
+    });
+  } finally {
+    activeJobId = null;
   }
 };
 
-function parseGeneric(content, ext) {
-  const lines = content.split("\n");
-  let dataStart = 0;
-  if (ext === "ply") {
-    dataStart = lines.findIndex((l) => l.trim() === "end_header") + 1;
-    if (dataStart === 0)
-      dataStart = lines.findIndex((l) => l.trim().startsWith("element vertex")); // Simple fallback
-  }
-
-  const positions = [],
-    labels = [];
-  for (let i = dataStart; i < lines.length; i++) {
-    const parts = lines[i].trim().split(/\s+/);
-    if (parts.length >= 3) {
-      const [x, y, z] = parts.slice(0, 3).map(parseFloat);
-      if (!isNaN(x)) {
-        positions.push(x, y, z);
-        labels.push(parts.length > 6 ? parts[6] : "default");
+// --- Byte Stream Reading ---
+
+// Reads a File through its stream so no frame ever exists as one big string.
+// Text formats are consumed line by line, binary bodies are copied once into
+// a buffer of the exact remaining size.
+class ChunkReader {
+  constructor(file, onProgress, isCancelled) {
+    this.reader = file.stream().getReader();
+    this.total = file.size;
+    this.loaded = 0;
+    this.lastReported = 0;
+    this.onProgress = onProgress;
+    this.isCancelled = isCancelled;
+    this.pending = null; // Unconsumed bytes handed back by forEachLine
+  }
+
+  async next() {
+    // Cancellation messages are handled while we await the next chunk
+    if (this.isCancelled()) {
+      this.cancel();
+      throw new ParseCancelled("Cancelled");
+    }
+    if (this.pending) {
+      const chunk = this.pending;
+      this.pending = null;
+      return chunk;
+    }
+    const { done, value } = await this.reader.read();
+    if (done) return null;
+    this.loaded += value.byteLength;
+    const progress = this.total > 0 ? this.loaded / this.total : 1;
+    if (progress - this.lastReported >= PROGRESS_STEP || progress === 1) {
+      this.lastReported = progress;
+      this.onProgress(progress);
+    }
+    return value;
+  }
+
+  // Calls onLine(bytes, start, end) for every line (without its line break)
+  // until the callback returns false or the stream ends.
+  async forEachLine(onLine) {
+    let carry = null;
+    let chunk;
+    while ((chunk = await this.next())) {
+      let start = 0;
+      if (carry) {
+        // Only the line straddling the chunk boundary gets copied
+        const newline = chunk.indexOf(0x0a);
+        const head = chunk.subarray(0, newline === -1 ? chunk.length : newline);
+        const joined = new Uint8Array(carry.length + head.length);
+        joined.set(carry);
+        joined.set(head, carry.length);
+        if (newline === -1) {
+          carry = joined;
+          continue;
+        }
+        carry = null;
+        start = newline + 1;
+        if (onLine(joined, 0, trimLineEnd(joined, 0, joined.length)) === false)
+          return this.handBack(chunk, start);
+      }
+
+      let newline;
+      while ((newline = chunk.indexOf(0x0a, start)) !== -1) {
+        if (onLine(chunk, start, trimLineEnd(chunk, start, newline)) === false)
+          return this.handBack(chunk, newline + 1);
+        start = newline + 1;
       }
+      if (start < chunk.length) carry = chunk.slice(start);
     }
+    if (carry) onLine(carry, 0, trimLineEnd(carry, 0, carry.length));
+  }
+
+  handBack(chunk, start) {
+    if (start < chunk.length) this.pending = chunk.subarray(start);
   }
-  return _createDefaultFrameData(positions, labels);
+
+  // Reads everything that is left into a single buffer
+  async readRest() {
+    const rest = new Uint8Array(
+      this.total - this.loaded + (this.pending ? this.pending.length : 0)
+    );
+    let offset = 0;
+    let chunk;
+    while ((chunk = await this.next())) {
+      rest.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return rest.subarray(0, offset);
+  }
+
+  cancel() {
+    this.pending = null;
+    this.reader.cancel();
+  }
+}
+
+function trimLineEnd(bytes, start, end) {
+  while (end > start && (bytes[end - 1] === 0x0d || bytes[end - 1] === 0x20))
+    end--;
+  return end;
 }
 
-function _createDefaultFrameData(positions, labels) {
-  const numPoints = positions.length / 3;
-  const colors = new Float32Array(numPoints * 3);
-  colors.fill(1.0); // Default to white
-  const normals = new Float32Array(numPoints * 3);
-  for (let i = 0; i < numPoints; i++) normals.set([0, 1, 0], i * 3); // Default up
+function decodeLine(bytes, start, end) {
+  return String.fromCharCode.apply(null, bytes.subarray(start, end)).trim();
+}
 
-  return {
-    positions: new Float32Array(positions),
-    labels,
-    colors,
-    normals,
-    pointCount: numPoints,
+// Splits bytes[start, end) on whitespace, storing [start, end) pairs of each
+// token in `tokens`. Returns the token count.
+function tokenize(bytes, start, end, tokens) {
+  let count = 0;
+  let i = start;
+  while (i < end) {
+    while (i < end && (bytes[i] === 0x20 || bytes[i] === 0x09)) i++;
+    if (i >= end) break;
+    const tokenStart = i;
+    while (i < end && bytes[i] !== 0x20 && bytes[i] !== 0x09) i++;
+    if (count * 2 + 1 >= tokens.array.length) {
+      const grown = new Int32Array(tokens.array.length * 2);
+      grown.set(tokens.array);
+      tokens.array = grown;
+    }
+    tokens.array[count * 2] = tokenStart;
+    tokens.array[count * 2 + 1] = i;
+    count++;
+  }
+  return count;
+}
+
+function createTokens() {
+  return { array: new Int32Array(64) };
+}
+
+// Parses a decimal number straight from ASCII bytes. Anything unusual (nan,
+// inf, hex...) falls back to parseFloat on the decoded token.
+function parseNumber(bytes, start, end) {
+  let i = start;
+  let sign = 1;
+  if (bytes[i] === 0x2d) {
+    sign = -1;
+    i++;
+  } else if (bytes[i] === 0x2b) {
+    i++;
+  }
+
+  let mantissa = 0;
+  let digits = 0;
+  let scale = 0;
+  let c;
+  while (i < end && (c = bytes[i] - 0x30) >= 0 && c <= 9) {
+    mantissa = mantissa * 10 + c;
+    digits++;
+    i++;
+  }
+  if (i < end && bytes[i] === 0x2e) {
+    i++;
+    while (i < end && (c = bytes[i] - 0x30) >= 0 && c <= 9) {
+      mantissa = mantissa * 10 + c;
+      digits++;
+      scale--;
+      i++;
+    }
+  }
+  if (digits > 0 && i < end && (bytes[i] === 0x65 || bytes[i] === 0x45)) {
+    i++;
+    let expSign = 1;
+    if (bytes[i] === 0x2d) {
+      expSign = -1;
+      i++;
+    } else if (bytes[i] === 0x2b) {
+      i++;
+    }
+    let exponent = 0;
+    const expStart = i;
+    while (i < end && (c = bytes[i] - 0x30) >= 0 && c <= 9) {
+      exponent = exponent * 10 + c;
+      i++;
+    }
+    if (i === expStart) i = -1; // Dangling exponent, let parseFloat decide
+    scale += expSign * exponent;
+  }
+
+  if (digits === 0 || digits > 15 || i !== end)
+    return parseFloat(
+      String.fromCharCode.apply(null, bytes.subarray(start, end))
+    );
+  return sign * (scale < 0 ? mantissa / 10 ** -scale : mantissa * 10 ** scale);
+}
+
+// Label tokens repeat in long runs, so the previous string is reused whenever
+// the bytes match instead of allocating a new one per point.
+function createLabelDecoder() {
+  let lastBytes = new Uint8Array(0);
+  let lastLabel = "";
+  return (bytes, start, end) => {
+    const length = end - start;
+    if (length === lastBytes.length) {
+      let same = true;
+      for (let i = 0; i < length; i++) {
+        if (bytes[start + i] !== lastBytes[i]) {
+          same = false;
+          break;
+        }
+      }
+      if (same) return lastLabel;
+    }
+    lastBytes = bytes.slice(start, end);
+    lastLabel = String.fromCharCode.apply(null, lastBytes);
+    return lastLabel;
   };
 }
 
-function parsePCD(content) {
-  const lines = content.split("\n");
-  let dataStart = 0,
-    pointCount = 0;
-  let fields = [];
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (line.startsWith("FIELDS"))
-      fields = line
-        .split(" ")
-        .slice(1)
-        .map((n) => n.toLowerCase());
-    else if (line.startsWith("POINTS"))
-      pointCount = parseInt(line.split(" ")[1]);
-    else if (line.startsWith("DATA ascii")) {
-      dataStart = i + 1;
-      break;
-    } else if (line.startsWith("DATA"))
-      throw new Error("Only ASCII PCD format is supported");
-  }
-
-  const positions = new Float32Array(pointCount * 3);
-  const labels = new Array(pointCount);
-  const colors = new Float32Array(pointCount * 3);
-  const normals = new Float32Array(pointCount * 3);
-
-  const idx = {
+// --- Frame Building ---
+
+const MAX_LABELS = 0xffff;
+
+// Writes points directly into preallocated typed arrays. Formats that declare
+// their point count allocate once; the others grow by doubling. Labels are
+// stored as ids into a per-frame table; id 0 is "default".
+class FrameBuilder {
+  constructor(capacity) {
+    this.pointCount = 0;
+    this.labelTable = ["default"];
+    this.labelIndex = new Map([["default", 0]]);
+    this.allocate(Math.max(1, capacity));
+  }
+
+  allocate(capacity) {
+    const positions = new Float32Array(capacity * 3);
+    const colors = new Float32Array(capacity * 3);
+    const normals = new Float32Array(capacity * 3);
+    const labelIds = new Uint16Array(capacity);
+    if (this.positions) {
+      const used = this.pointCount * 3;
+      positions.set(this.positions.subarray(0, used));
+      colors.set(this.colors.subarray(0, used));
+      normals.set(this.normals.subarray(0, used));
+      labelIds.set(this.labelIds.subarray(0, this.pointCount));
+    }
+    colors.fill(1.0, this.pointCount * 3); // Default to white
+    for (let i = this.pointCount; i < capacity; i++) {
+      normals[i * 3 + 1] = 1.0; // Default up
+    }
+    this.positions = positions;
+    this.colors = colors;
+    this.normals = normals;
+    this.labelIds = labelIds;
+    this.capacity = capacity;
+  }
+
+  addPoint(x, y, z) {
+    if (this.pointCount === this.capacity) this.allocate(this.capacity * 2);
+    const i = this.pointCount++;
+    this.positions[i * 3] = x;
+    this.positions[i * 3 + 1] = y;
+    this.positions[i * 3 + 2] = z;
+    return i;
+  }
+
+  setColor(i, r, g, b) {
+    this.colors[i * 3] = r;
+    this.colors[i * 3 + 1] = g;
+    this.colors[i * 3 + 2] = b;
+  }
+
+  setPackedColor(i, packed) {
+    this.setColor(
+      i,
+      ((packed >> 16) & 0xff) / 255,
+      ((packed >> 8) & 0xff) / 255,
+      (packed & 0xff) / 255
+    );
+  }
+
+  setNormal(i, nx, ny, nz) {
+    this.normals[i * 3] = nx;
+    this.normals[i * 3 + 1] = ny;
+    this.normals[i * 3 + 2] = nz;
+  }
+
+  // `label` may be a string or, for binary formats, a number
+  setLabel(i, label) {
+    let id = this.labelIndex.get(label);
+    if (id === undefined) {
+      if (this.labelTable.length > MAX_LABELS)
+        throw new Error(`More than ${MAX_LABELS} distinct labels in one file`);
+      id = this.labelTable.length;
+      this.labelTable.push(String(label));
+      this.labelIndex.set(label, id);
+    }
+    this.labelIds[i] = id;
+  }
+
+  finish() {
+    const count = this.pointCount;
+    // Trim arrays if there were invalid points or spare capacity
+    const trim = (array, length) =>
+      length === array.length ? array : array.slice(0, length);
+    return {
+      positions: trim(this.positions, count * 3),
+      labelIds: trim(this.labelIds, count),
+      labelTable: this.labelTable,
+      colors: trim(this.colors, count * 3),
+      normals: trim(this.normals, count * 3),
+      pointCount: count,
+    };
+  }
+}
+
+// --- XYZ / TXT ---
+
+const GENERIC_BYTES_PER_POINT = 32; // Rough guess for the initial allocation
+
+async function parseGeneric(reader) {
+  const builder = new FrameBuilder(
+    Math.ceil(reader.total / GENERIC_BYTES_PER_POINT)
+  );
+  const tokens = createTokens();
+  const decodeLabel = createLabelDecoder();
+
+  await reader.forEachLine((bytes, start, end) => {
+    const count = tokenize(bytes, start, end, tokens);
+    if (count < 3) return;
+    const t = tokens.array;
+    const x = parseNumber(bytes, t[0], t[1]);
+    if (isNaN(x)) return;
+    const i = builder.addPoint(
+      x,
+      parseNumber(bytes, t[2], t[3]),
+      parseNumber(bytes, t[4], t[5])
+    );
+    if (count > 6) builder.setLabel(i, decodeLabel(bytes, t[12], t[13]));
+  });
+  return builder.finish();
+}
+
+// --- PCD ---
+
+async function parsePCD(reader) {
+  const header = await readPCDHeader(reader);
+
+  switch (header.data) {
+    case "ascii":
+      return parsePCDAscii(reader, header);
+    case "binary":
+      return parsePCDBinary(await reader.readRest(), header, false);
+    case "binary_compressed": {
+      const body = await reader.readRest();
+      const view = new DataView(body.buffer, body.byteOffset, body.byteLength);
+      const compressedSize = view.getUint32(0, true);
+      const uncompressedSize = view.getUint32(4, true);
+      const decompressed = lzfDecompress(
+        body.subarray(8, 8 + compressedSize),
+        uncompressedSize
+      );
+      return parsePCDBinary(decompressed, header, true);
+    }
+    default:
+      throw new Error(`Unsupported PCD data format: ${header.data}`);
+  }
+}
+
+async function readPCDHeader(reader) {
+  const header = {
+    fields: [],
+    size: [],
+    type: [],
+    count: [],
+    width: 0,
+    height: 1,
+    points: 0,
+    data: null,
+  };
+
+  await reader.forEachLine((bytes, start, end) => {
+    const line = decodeLine(bytes, start, end);
+    if (line === "" || line.startsWith("#")) return;
+    const [key, ...values] = line.split(/\s+/);
+    switch (key.toUpperCase()) {
+      case "FIELDS":
+        header.fields = values.map((n) => n.toLowerCase());
+        break;
+      case "SIZE":
+        header.size = values.map((v) => parseInt(v, 10));
+        break;
+      case "TYPE":
+        header.type = values.map((v) => v.toUpperCase());
+        break;
+      case "COUNT":
+        header.count = values.map((v) => parseInt(v, 10));
+        break;
+      case "WIDTH":
+        header.width = parseInt(values[0], 10);
+        break;
+      case "HEIGHT":
+        header.height = parseInt(values[0], 10);
+        break;
+      case "POINTS":
+        header.points = parseInt(values[0], 10);
+        break;
+      case "DATA":
+        header.data = values[0].toLowerCase();
+        return false;
+    }
+  });
+
+  if (!header.data) throw new Error("PCD header has no DATA line");
+  if (!header.points) header.points = header.width * header.height;
+  // SIZE/TYPE/COUNT are optional for ASCII files, but binary needs all three
+  if (header.count.length === 0) header.count = header.fields.map(() => 1);
+  return header;
+}
+
+function getPCDFieldIndices(fields) {
+  return {
     x: fields.indexOf("x"),
     y: fields.indexOf("y"),
     z: fields.indexOf("z"),
-    rgb: fields.indexOf("rgb"),
+    rgb: fields.includes("rgb")
+      ? fields.indexOf("rgb")
+      : fields.indexOf("rgba"),
     label: fields.includes("label")
       ? fields.indexOf("label")
       : fields.indexOf("semantic"),
@@ -110,48 +488,421 @@ function parsePCD(content) {
     ny: fields.indexOf("normal_y"),
     nz: fields.indexOf("normal_z"),
   };
+}
 
-  let validPointIndex = 0;
-  for (let i = dataStart; i < dataStart + pointCount && i < lines.length; i++) {
-    const parts = lines[i].trim().split(/\s+/);
-    const x = parseFloat(parts[idx.x]);
-    if (isNaN(x) || parts.length < fields.length) continue;
-
-    const pIdx = validPointIndex * 3;
-    positions[pIdx] = x;
-    positions[pIdx + 1] = parseFloat(parts[idx.y]);
-    positions[pIdx + 2] = parseFloat(parts[idx.z]);
-
-    labels[validPointIndex] =
-      idx.label !== -1 && parts[idx.label] ? parts[idx.label] : "default";
-
-    if (idx.rgb !== -1) {
-      const packed = parseInt(parts[idx.rgb]);
-      colors[pIdx] = ((packed >> 16) & 0xff) / 255;
-      colors[pIdx + 1] = ((packed >> 8) & 0xff) / 255;
-      colors[pIdx + 2] = (packed & 0xff) / 255;
-    } else {
-      colors.fill(1.0, pIdx, pIdx + 3);
+async function parsePCDAscii(reader, header) {
+  const { fields, points: pointCount } = header;
+  const builder = new FrameBuilder(pointCount);
+  const idx = getPCDFieldIndices(fields);
+  const tokens = createTokens();
+  const decodeLabel = createLabelDecoder();
+  const token = (f) => tokens.array[f * 2];
+  const tokenEnd = (f) => tokens.array[f * 2 + 1];
+  const number = (bytes, f) => parseNumber(bytes, token(f), tokenEnd(f));
+
+  let lineCount = 0;
+  await reader.forEachLine((bytes, start, end) => {
+    if (lineCount++ >= pointCount) return false;
+    const count = tokenize(bytes, start, end, tokens);
+    if (count < fields.length) return;
+    const x = number(bytes, idx.x);
+    if (isNaN(x)) return;
+
+    const i = builder.addPoint(x, number(bytes, idx.y), number(bytes, idx.z));
+    if (idx.label !== -1)
+      builder.setLabel(
+        i,
+        decodeLabel(bytes, token(idx.label), tokenEnd(idx.label))
+      );
+    if (idx.rgb !== -1) builder.setPackedColor(i, number(bytes, idx.rgb));
+    if (idx.nx !== -1)
+      builder.setNormal(
+        i,
+        number(bytes, idx.nx),
+        number(bytes, idx.ny),
+        number(bytes, idx.nz)
+      );
+  });
+  reader.cancel();
+  return builder.finish();
+}
+
+// Builds a reader per field that returns the first element of the field for a
+// point. `binary` bodies are stored point by point (row-major), while the
+// decompressed `binary_compressed` body stores each field for all points
+// contiguously (column-major).
+function createPCDFieldReaders(header, view, columnMajor) {
+  const { fields, size, type, count, points } = header;
+  if (size.length !== fields.length || type.length !== fields.length)
+    throw new Error("PCD header SIZE/TYPE do not match FIELDS");
+
+  let stride = 0;
+  for (let f = 0; f < fields.length; f++) stride += size[f] * count[f];
+  if (view.byteLength < stride * points)
+    throw new Error(
+      `PCD body is truncated: expected ${stride * points} bytes, got ${
+        view.byteLength
+      }`
+    );
+
+  const readers = [];
+  let offset = 0;
+  for (let f = 0; f < fields.length; f++) {
+    // rgb is a packed 0x00RRGGBB integer that PCL usually declares as a float
+    // (F 4), so its raw bits have to be read regardless of the declared type.
+    const fieldType = ["rgb", "rgba"].includes(fields[f]) ? "U" : type[f];
+    const read = createBinaryValueReader(view, fieldType, size[f], true);
+    const fieldOffset = offset;
+    const elementSize = size[f] * count[f];
+    readers.push(
+      columnMajor
+        ? (i) => read(fieldOffset + i * elementSize)
+        : (i) => read(i * stride + fieldOffset)
+    );
+    offset += columnMajor ? elementSize * points : elementSize;
+  }
+  return { readers, stride };
+}
+
+function parsePCDBinary(bytes, header, columnMajor) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const { readers } = createPCDFieldReaders(header, view, columnMajor);
+  const idx = getPCDFieldIndices(header.fields);
+  if (idx.x === -1 || idx.y === -1 || idx.z === -1)
+    throw new Error("PCD file has no x/y/z fields");
+
+  const builder = new FrameBuilder(header.points);
+  for (let p = 0; p < header.points; p++) {
+    const x = readers[idx.x](p);
+    const y = readers[idx.y](p);
+    const z = readers[idx.z](p);
+    // Organized clouds mark missing measurements with NaN
+    if (isNaN(x) || isNaN(y) || isNaN(z)) continue;
+
+    const i = builder.addPoint(x, y, z);
+    if (idx.label !== -1) builder.setLabel(i, readers[idx.label](p));
+    if (idx.rgb !== -1) builder.setPackedColor(i, readers[idx.rgb](p));
+    if (idx.nx !== -1)
+      builder.setNormal(
+        i,
+        readers[idx.nx](p),
+        readers[idx.ny](p),
+        readers[idx.nz](p)
+      );
+  }
+  return builder.finish();
+}
+
+function createBinaryValueReader(view, type, size, littleEndian) {
+  const key = `${type}${size}`;
+  switch (key) {
+    case "F4":
+      return (o) => view.getFloat32(o, littleEndian);
+    case "F8":
+      return (o) => view.getFloat64(o, littleEndian);
+    case "U1":
+      return (o) => view.getUint8(o);
+    case "U2":
+      return (o) => view.getUint16(o, littleEndian);
+    case "U4":
+      return (o) => view.getUint32(o, littleEndian);
+    case "I1":
+      return (o) => view.getInt8(o);
+    case "I2":
+      return (o) => view.getInt16(o, littleEndian);
+    case "I4":
+      return (o) => view.getInt32(o, littleEndian);
+    default:
+      throw new Error(`Unsupported binary field type: ${type} ${size}`);
+  }
+}
+
+// --- PLY ---
+
+// PLY scalar types mapped to the TYPE/SIZE codes used by the binary readers
+const PLY_TYPES = {
+  char: ["I", 1],
+  int8: ["I", 1],
+  uchar: ["U", 1],
+  uint8: ["U", 1],
+  short: ["I", 2],
+  int16: ["I", 2],
+  ushort: ["U", 2],
+  uint16: ["U", 2],
+  int: ["I", 4],
+  int32: ["I", 4],
+  uint: ["U", 4],
+  uint32: ["U", 4],
+  float: ["F", 4],
+  float32: ["F", 4],
+  double: ["F", 8],
+  float64: ["F", 8],
+};
+
+const PLY_PROPERTY_ALIASES = {
+  x: ["x"],
+  y: ["y"],
+  z: ["z"],
+  red: ["red", "r", "diffuse_red"],
+  green: ["green", "g", "diffuse_green"],
+  blue: ["blue", "b", "diffuse_blue"],
+  nx: ["nx", "normal_x"],
+  ny: ["ny", "normal_y"],
+  nz: ["nz", "normal_z"],
+  label: ["label", "semantic", "class", "scalar_label", "scalar_semantic"],
+};
+
+async function parsePLY(reader) {
+  const header = await readPLYHeader(reader);
+  const vertex = header.elements.find((e) => e.name === "vertex");
+  if (!vertex) throw new Error("PLY file has no vertex element");
+
+  const builder = new FrameBuilder(vertex.count);
+  const writeVertex = createPLYVertexWriter(vertex, builder);
+  if (header.format === "ascii") {
+    await parsePLYAscii(reader, header, writeVertex);
+  } else {
+    const body = await reader.readRest();
+    const view = new DataView(body.buffer, body.byteOffset, body.byteLength);
+    parsePLYBinary(
+      view,
+      header,
+      header.format === "binary_little_endian",
+      writeVertex
+    );
+  }
+  return builder.finish();
+}
+
+async function readPLYHeader(reader) {
+  const header = { format: null, elements: [] };
+  let lineNumber = 0,
+    ended = false,
+    error = null;
+
+  await reader.forEachLine((bytes, start, end) => {
+    const line = decodeLine(bytes, start, end);
+    if (lineNumber++ === 0) {
+      if (line === "ply") return;
+      error = "Not a PLY file (missing magic)";
+      return false;
+    }
+    const [keyword, ...values] = line.split(/\s+/);
+    const element = header.elements[header.elements.length - 1];
+    switch (keyword) {
+      case "format":
+        header.format = values[0];
+        break;
+      case "element":
+        header.elements.push({
+          name: values[0],
+          count: parseInt(values[1], 10),
+          properties: [],
+        });
+        break;
+      case "property":
+        if (!element) {
+          error = `PLY property outside element: ${line}`;
+          return false;
+        }
+        if (values[0] === "list") {
+          element.properties.push({
+            name: values[3],
+            list: true,
+            countType: getPLYType(values[1]),
+            type: getPLYType(values[2]),
+          });
+        } else {
+          element.properties.push({
+            name: values[1],
+            list: false,
+            type: getPLYType(values[0]),
+          });
+        }
+        break;
+      case "end_header":
+        ended = true;
+        return false;
+      // comment, obj_info and blank lines carry nothing we need
     }
+  });
 
-    if (idx.nx !== -1) {
-      normals[pIdx] = parseFloat(parts[idx.nx]);
-      normals[pIdx + 1] = parseFloat(parts[idx.ny]);
-      normals[pIdx + 2] = parseFloat(parts[idx.nz]);
-    } else {
-      normals[pIdx] = 0.0;
-      normals[pIdx + 1] = 1.0;
-      normals[pIdx + 2] = 0.0;
+  if (error) throw new Error(error);
+  if (!ended) throw new Error("PLY header has no end_header line");
+  if (
+    !["ascii", "binary_little_endian", "binary_big_endian"].includes(
+      header.format
+    )
+  )
+    throw new Error(`Unsupported PLY format: ${header.format}`);
+  return header;
+}
+
+function getPLYType(name) {
+  const type = PLY_TYPES[name];
+  if (!type) throw new Error(`Unsupported PLY property type: ${name}`);
+  return { name, code: type[0], size: type[1] };
+}
+
+// Returns a function that takes a vertex row (one value per property, in
+// declaration order) and adds it to the builder, mapping the properties we
+// understand by name.
+function createPLYVertexWriter(vertex, builder) {
+  const names = vertex.properties.map((p) => p.name.toLowerCase());
+  const find = (key) => {
+    for (const alias of PLY_PROPERTY_ALIASES[key]) {
+      const index = names.indexOf(alias);
+      if (index !== -1) return index;
     }
-    validPointIndex++;
-  }
+    return -1;
+  };
+  const idx = {};
+  for (const key in PLY_PROPERTY_ALIASES) idx[key] = find(key);
+  if (idx.x === -1 || idx.y === -1 || idx.z === -1)
+    throw new Error("PLY vertex element has no x/y/z properties");
 
-  // Trim arrays if there were invalid points
-  return {
-    positions: positions.slice(0, validPointIndex * 3),
-    labels: labels.slice(0, validPointIndex),
-    colors: colors.slice(0, validPointIndex * 3),
-    normals: normals.slice(0, validPointIndex * 3),
-    pointCount: validPointIndex,
+  const hasColor = idx.red !== -1 && idx.green !== -1 && idx.blue !== -1;
+  const hasNormal = idx.nx !== -1 && idx.ny !== -1 && idx.nz !== -1;
+  // Integer colors are normalized by their type's range, floats are 0..1
+  const colorScale = hasColor
+    ? vertex.properties[idx.red].type.code === "F"
+      ? 1
+      : 1 / (2 ** (8 * vertex.properties[idx.red].type.size) - 1)
+    : 1;
+
+  return (row) => {
+    const x = row[idx.x];
+    if (isNaN(x)) return;
+    const i = builder.addPoint(x, row[idx.y], row[idx.z]);
+    if (idx.label !== -1) builder.setLabel(i, row[idx.label]);
+    if (hasColor)
+      builder.setColor(
+        i,
+        row[idx.red] * colorScale,
+        row[idx.green] * colorScale,
+        row[idx.blue] * colorScale
+      );
+    if (hasNormal) builder.setNormal(i, row[idx.nx], row[idx.ny], row[idx.nz]);
   };
 }
+
+async function parsePLYAscii(reader, header, writeVertex) {
+  const vertexElement = header.elements.findIndex((e) => e.name === "vertex");
+  // Every element row, lists included, sits on a single line
+  let skipLines = 0;
+  for (let e = 0; e < vertexElement; e++) skipLines += header.elements[e].count;
+  const vertex = header.elements[vertexElement];
+  const row = new Float64Array(vertex.properties.length);
+  const tokens = createTokens();
+  let remaining = vertex.count;
+
+  await reader.forEachLine((bytes, start, end) => {
+    if (skipLines > 0) {
+      skipLines--;
+      return;
+    }
+    if (remaining === 0) return false;
+    const count = tokenize(bytes, start, end, tokens);
+    if (count === 0) return;
+    let token = 0;
+    for (let p = 0; p < vertex.properties.length; p++) {
+      const t = tokens.array[token * 2];
+      const tEnd = tokens.array[token * 2 + 1];
+      if (vertex.properties[p].list) {
+        // Lists on vertices are not used; skip their items
+        token += parseNumber(bytes, t, tEnd) + 1;
+        row[p] = NaN;
+      } else {
+        row[p] = token < count ? parseNumber(bytes, t, tEnd) : NaN;
+        token++;
+      }
+    }
+    writeVertex(row);
+    remaining--;
+  });
+  reader.cancel();
+}
+
+function parsePLYBinary(view, header, littleEndian, writeVertex) {
+  let offset = 0;
+
+  for (const element of header.elements) {
+    const readers = element.properties.map((property) => ({
+      property,
+      read: createBinaryValueReader(
+        view,
+        property.type.code,
+        property.type.size,
+        littleEndian
+      ),
+      readCount: property.list
+        ? createBinaryValueReader(
+            view,
+            property.countType.code,
+            property.countType.size,
+            littleEndian
+          )
+        : null,
+    }));
+    const isVertex = element.name === "vertex";
+    const row = new Float64Array(readers.length);
+
+    // Elements without list properties can be skipped in one jump
+    if (!isVertex && readers.every((r) => !r.property.list)) {
+      const stride = readers.reduce((s, r) => s + r.property.type.size, 0);
+      offset += stride * element.count;
+      continue;
+    }
+
+    for (let i = 0; i < element.count; i++) {
+      for (let p = 0; p < readers.length; p++) {
+        const { property, read, readCount } = readers[p];
+        if (property.list) {
+          const count = readCount(offset);
+          offset += property.countType.size + count * property.type.size;
+          row[p] = NaN;
+        } else {
+          if (isVertex) row[p] = read(offset);
+          offset += property.type.size;
+        }
+      }
+      if (isVertex) writeVertex(row);
+    }
+    if (isVertex) return;
+  }
+}
+
+// LZF decompression as used by PCL for `DATA binary_compressed`
+function lzfDecompress(input, outputLength) {
+  const output = new Uint8Array(outputLength);
+  let ip = 0,
+    op = 0;
+  while (ip < input.length) {
+    let ctrl = input[ip++];
+    if (ctrl < 32) {
+      // Literal run of ctrl + 1 bytes
+      ctrl++;
+      if (op + ctrl > outputLength || ip + ctrl > input.length)
+        throw new Error("Corrupt LZF data: literal run out of bounds");
+      output.set(input.subarray(ip, ip + ctrl), op);
+      ip += ctrl;
+      op += ctrl;
+    } else {
+      // Back reference into the already decompressed output
+      let length = ctrl >> 5;
+      let ref = op - ((ctrl & 0x1f) << 8) - 1;
+      if (length === 7) length += input[ip++];
+      ref -= input[ip++];
+      length += 2;
+      if (ref < 0 || op + length > outputLength)
+        throw new Error("Corrupt LZF data: back reference out of bounds");
+      // Byte by byte, since the reference may overlap the bytes being written
+      while (length--) output[op++] = output[ref++];
+    }
+  }
+  if (op !== outputLength)
+    throw new Error(
+      `Corrupt LZF data: expected ${outputLength} bytes, got ${op}`
+    );
+  return output;
+}
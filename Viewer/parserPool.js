@@ -0,0 +1,128 @@
+// parserPool.js
+
+export class ParseCancelledError extends Error {
+  constructor(fileName) {
+    super(`Parsing of ${fileName} was cancelled`);
+    this.name = "ParseCancelledError";
+  }
+}
+
+// Spreads parse jobs over a pool of parser.js workers. Queued jobs run in
+// priority order (lower value first, FIFO within a priority) and can be
+// reprioritized or cancelled as the user scrubs or switches scenes.
+export class ParserPool {
+  constructor(size = navigator.hardwareConcurrency || 4) {
+    this.size = Math.max(1, size);
+    this.workers = []; // { worker, job }
+    this.queue = [];
+    this.jobs = new Map();
+    this.nextJobId = 1; // Monotonic, so message ids never collide
+  }
+
+  // `tag` is opaque caller data used to reprioritize or cancel groups of jobs
+  parse(file, { priority = 0, onProgress = () => {}, tag = null } = {}) {
+    return new Promise((resolve, reject) => {
+      const job = {
+        id: this.nextJobId++,
+        file,
+        priority,
+        onProgress,
+        tag,
+        resolve,
+        reject,
+      };
+      this.jobs.set(job.id, job);
+      this.enqueue(job);
+      this.dispatch();
+    });
+  }
+
+  enqueue(job) {
+    // Binary search keeps the queue sorted by priority, then by submission
+    let low = 0,
+      high = this.queue.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      const other = this.queue[mid];
+      if (
+        other.priority < job.priority ||
+        (other.priority === job.priority && other.id < job.id)
+      )
+        low = mid + 1;
+      else high = mid;
+    }
+    this.queue.splice(low, 0, job);
+  }
+
+  reprioritize(getPriority) {
+    for (const job of this.queue)
+      job.priority = getPriority(job.tag, job.priority);
+    this.queue.sort((a, b) => a.priority - b.priority || a.id - b.id);
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      const slot = this.getIdleWorker();
+      if (!slot) return;
+      const job = this.queue.shift();
+      slot.job = job;
+      slot.worker.postMessage({ id: job.id, file: job.file });
+    }
+  }
+
+  getIdleWorker() {
+    const idle = this.workers.find((slot) => !slot.job);
+    if (idle) return idle;
+    if (this.workers.length >= this.size) return null;
+
+    const slot = { worker: new Worker("parser.js"), job: null };
+    slot.worker.addEventListener("message", (event) =>
+      this.handleMessage(slot, event.data)
+    );
+    this.workers.push(slot);
+    return slot;
+  }
+
+  handleMessage(slot, message) {
+    const job = this.jobs.get(message.id);
+    if (message.progress !== undefined) {
+      if (job) job.onProgress(message.progress);
+      return;
+    }
+
+    // The worker is free once it answers, even for jobs cancelled meanwhile
+    if (slot.job && slot.job.id === message.id) slot.job = null;
+    if (job) {
+      this.jobs.delete(job.id);
+      if (message.success) job.resolve(message.payload);
+      else if (message.cancelled)
+        job.reject(new ParseCancelledError(job.file.name));
+      else job.reject(new Error(message.error));
+    }
+    this.dispatch();
+  }
+
+  cancelAll() {
+    this.cancel(() => true);
+  }
+
+  cancel(predicate) {
+    this.queue = this.queue.filter((job) => {
+      if (!predicate(job.tag)) return true;
+      job.reject(new ParseCancelledError(job.file.name));
+      this.jobs.delete(job.id);
+      return false;
+    });
+
+    // Running jobs stop at their next chunk; their workers free up once the
+    // cancellation is acknowledged.
+    for (const slot of this.workers) {
+      if (!slot.job || !this.jobs.has(slot.job.id)) continue;
+      const job = slot.job;
+      if (!predicate(job.tag)) continue;
+      slot.worker.postMessage({ cancel: job.id });
+      job.reject(new ParseCancelledError(job.file.name));
+      this.jobs.delete(job.id);
+    }
+  }
+}
@@ -0,0 +1,334 @@
+// pointRendering.js
+
+import { COLORMAPS, createRampTexture } from "./colormaps.js";
+import { SEARCH_RADIUS, SPEED_COLOR_MAX } from "./motion.js";
+
+// Point size limits in CSS pixels, so a capture at a higher pixel ratio
+// draws points as large relative to the scene as the screen does
+const MIN_POINT_PIXELS = 1; // Far points never vanish
+const MAX_POINT_PIXELS = 64; // Near points never fill the screen
+const AMBIENT = 0.35; // Share of a color that shading never takes away
+// Headlight from just above the camera, in view space
+const LIGHT_DIRECTION = new THREE.Vector3(0, 0.5, 1).normalize();
+const CONTACT_DISTANCE = 0.02; // m to the static scene that counts as touching
+const CHANGE_DISTANCE = 0.01; // m a point has to move to count as changed
+// Values of points with nothing to compare against, and of points whose
+// values are still being computed
+export const NO_VALUE = -1;
+export const PENDING_VALUE = -2;
+const EDL_RADIUS = 1.4; // Pixels to the neighbors compared
+const EDL_STRENGTH = 1;
+
+// Values of the colorMode uniform
+export const COLOR_MODES = {
+  label: 0,
+  rgb: 1,
+  normal: 2,
+  height: 3,
+  distance: 4,
+  speed: 5,
+  clearance: 6,
+  change: 7,
+};
+
+const POINT_VERTEX_SHADER = `
+uniform float size;
+uniform float scale;
+uniform float pixelRatio;
+uniform int colorMode;
+uniform sampler2D labelTexture;
+uniform vec2 labelTextureSize;
+uniform sampler2D rampTexture;
+uniform sampler2D speedTexture;
+uniform vec2 heightRange;
+uniform float maxDistance;
+uniform float maxSpeed;
+uniform float contactDistance;
+uniform float maxClearance;
+uniform float changeDistance;
+uniform vec3 tint;
+uniform float tintStrength;
+attribute float labelId;
+attribute float value; // Speed, clearance or change; see NO_VALUE
+varying vec3 vColor;
+varying vec3 vNormal;
+#include <clipping_planes_pars_vertex>
+
+vec3 ramp(sampler2D colormap, float t) {
+  return texture2D(colormap, vec2(clamp(t, 0.0, 1.0), 0.5)).rgb;
+}
+
+void main() {
+  vec2 texel = vec2(
+    mod(labelId, labelTextureSize.x),
+    floor(labelId / labelTextureSize.x)
+  );
+  vec4 label = texture2D(labelTexture, (texel + 0.5) / labelTextureSize);
+  if (label.a < 0.5) {
+    // Hidden label: outside the clip volume, so nothing is drawn
+    gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+    gl_PointSize = 0.0;
+    return;
+  }
+  vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+  gl_Position = projectionMatrix * mvPosition;
+  #include <clipping_planes_vertex>
+
+  if (colorMode == ${COLOR_MODES.label}) {
+    vColor = label.rgb;
+  } else if (colorMode == ${COLOR_MODES.rgb}) {
+    vColor = color;
+  } else if (colorMode == ${COLOR_MODES.normal}) {
+    vColor = normal * 0.5 + 0.5;
+  } else if (colorMode == ${COLOR_MODES.height}) {
+    float extent = max(heightRange.y - heightRange.x, 1e-6);
+    vColor = ramp(rampTexture, (position.y - heightRange.x) / extent);
+  } else if (colorMode == ${COLOR_MODES.distance}) {
+    vColor = ramp(rampTexture, length(mvPosition.xyz) / maxDistance);
+  } else if (value < ${(PENDING_VALUE + 0.5).toFixed(1)}) {
+    vColor = label.rgb; // Not computed yet
+  } else if (value < 0.0) {
+    vColor = vec3(0.5); // Nothing to compare with, e.g. the static scene
+  } else if (colorMode == ${COLOR_MODES.speed}) {
+    vColor = ramp(speedTexture, value / maxSpeed);
+  } else if (colorMode == ${COLOR_MODES.clearance}) {
+    // Red where touching, fading from orange to gray with distance
+    float t = (value - contactDistance) / (maxClearance - contactDistance);
+    vColor = value < contactDistance
+      ? vec3(1.0, 0.1, 0.1)
+      : mix(vec3(1.0, 0.6, 0.1), vec3(0.35), clamp(t, 0.0, 1.0));
+  } else {
+    vColor = value > changeDistance ? vec3(1.0, 0.85, 0.1) : vec3(0.35);
+  }
+  vColor = mix(vColor, tint, tintStrength);
+  vNormal = normalMatrix * normal;
+
+  // Size in world units shrinks with distance, as with PointsMaterial
+  float pointSize = size * pixelRatio;
+  if (!isOrthographic) pointSize *= scale / -mvPosition.z;
+  gl_PointSize = clamp(
+    pointSize,
+    ${MIN_POINT_PIXELS.toFixed(1)} * pixelRatio,
+    ${MAX_POINT_PIXELS.toFixed(1)} * pixelRatio
+  );
+}
+`;
+
+const POINT_FRAGMENT_SHADER = `
+uniform float opacity;
+uniform bool roundSplats;
+uniform bool shading;
+uniform vec3 lightDirection;
+varying vec3 vColor;
+varying vec3 vNormal;
+#include <clipping_planes_pars_fragment>
+
+void main() {
+  #include <clipping_planes_fragment>
+  vec2 offset = gl_PointCoord * 2.0 - 1.0;
+  if (roundSplats && dot(offset, offset) > 1.0) discard;
+  vec3 color = vColor;
+  if (shading && dot(vNormal, vNormal) > 0.0) {
+    // Scanned normals may face either way, so both sides are lit alike
+    float diffuse = abs(dot(normalize(vNormal), lightDirection));
+    color *= ${AMBIENT.toFixed(2)} + ${(1 - AMBIENT).toFixed(2)} * diffuse;
+  }
+  gl_FragColor = vec4(color, opacity);
+}
+`;
+
+// Uniforms that pick point colors, shared by all of a viewer's materials so
+// a color mode or label change is one update. labelTexture holds an RGBA
+// texel per label id, in rows of labelTextureSize.x; labels with zero alpha
+// are hidden. Height and distance run through rampTexture, whose colormap
+// can be swapped.
+export function createColorUniforms() {
+  return {
+    colorMode: { value: COLOR_MODES.label },
+    labelTexture: { value: null },
+    labelTextureSize: { value: new THREE.Vector2(1, 1) },
+    rampTexture: { value: createRampTexture(COLORMAPS.viridis) },
+    speedTexture: { value: createRampTexture(COLORMAPS.speed) },
+    heightRange: { value: new THREE.Vector2(0, 1) },
+    maxDistance: { value: 1 },
+    maxSpeed: { value: SPEED_COLOR_MAX },
+    contactDistance: { value: CONTACT_DISTANCE },
+    maxClearance: { value: SEARCH_RADIUS },
+    changeDistance: { value: CHANGE_DISTANCE },
+  };
+}
+
+// Points drawn as squares or round splats, optionally Lambert-shaded by
+// their normals. Geometries need position, color, normal, labelId and value
+// attributes; the color shown comes from colorUniforms (see
+// createColorUniforms). size, opacity and clippingPlanes work like on
+// PointsMaterial; the viewport has to be passed in with setViewport before
+// rendering.
+export class PointMaterial extends THREE.ShaderMaterial {
+  constructor({
+    size = 1,
+    shape = "square",
+    shading = false,
+    colorUniforms = createColorUniforms(),
+  } = {}) {
+    super({
+      uniforms: {
+        size: { value: size },
+        scale: { value: 1 },
+        pixelRatio: { value: 1 },
+        opacity: { value: 1 },
+        roundSplats: { value: shape === "round" },
+        shading: { value: shading },
+        lightDirection: { value: LIGHT_DIRECTION },
+        tint: { value: new THREE.Color() },
+        tintStrength: { value: 0 },
+        ...colorUniforms,
+      },
+      vertexShader: POINT_VERTEX_SHADER,
+      fragmentShader: POINT_FRAGMENT_SHADER,
+      vertexColors: true,
+      clipping: true,
+    });
+  }
+
+  get size() {
+    return this.uniforms.size.value;
+  }
+
+  set size(size) {
+    this.uniforms.size.value = size;
+  }
+
+  // Material's constructor sets opacity before there are uniforms
+  get opacity() {
+    return this.uniforms ? this.uniforms.opacity.value : 1;
+  }
+
+  set opacity(opacity) {
+    if (this.uniforms && this.uniforms.opacity)
+      this.uniforms.opacity.value = opacity;
+  }
+
+  setStyle({ shape, shading }) {
+    if (shape !== undefined)
+      this.uniforms.roundSplats.value = shape === "round";
+    if (shading !== undefined) this.uniforms.shading.value = shading;
+  }
+
+  // Blends every color towards color by strength; null for no tint
+  setTint(color, strength) {
+    if (color) this.uniforms.tint.value.set(color);
+    this.uniforms.tintStrength.value = color ? strength : 0;
+  }
+
+  // height in CSS pixels, like the renderer's size
+  setViewport(height, pixelRatio) {
+    this.uniforms.scale.value = height / 2;
+    this.uniforms.pixelRatio.value = pixelRatio;
+  }
+}
+
+const EDL_VERTEX_SHADER = `
+varying vec2 vUv;
+
+void main() {
+  vUv = uv;
+  gl_Position = vec4(position.xy, 0.0, 1.0);
+}
+`;
+
+const EDL_FRAGMENT_SHADER = `
+#include <packing>
+uniform sampler2D colorTexture;
+uniform sampler2D depthTexture;
+uniform vec2 texelSize;
+uniform float cameraNear;
+uniform float cameraFar;
+uniform bool orthographic;
+uniform float radius;
+uniform float strength;
+varying vec2 vUv;
+
+float logDepth(float depth) {
+  float viewZ = orthographic
+    ? orthographicDepthToViewZ(depth, cameraNear, cameraFar)
+    : perspectiveDepthToViewZ(depth, cameraNear, cameraFar);
+  return log2(-viewZ);
+}
+
+void main() {
+  vec4 color = texture2D(colorTexture, vUv);
+  float depth = texture2D(depthTexture, vUv).x;
+  if (depth >= 1.0) {
+    gl_FragColor = color; // Background
+    return;
+  }
+  float center = logDepth(depth);
+  float response = 0.0;
+  for (int i = 0; i < 8; i++) {
+    float angle = float(i) * 0.785398;
+    vec2 uv = vUv + vec2(cos(angle), sin(angle)) * radius * texelSize;
+    float neighbor = texture2D(depthTexture, uv).x;
+    if (neighbor >= 1.0) continue;
+    response += max(0.0, center - logDepth(neighbor));
+  }
+  float shade = exp(-response / 8.0 * 300.0 * strength);
+  gl_FragColor = vec4(color.rgb * shade, color.a);
+}
+`;
+
+// Eye-dome lighting: the scene is rendered into `target`, then every pixel
+// is darkened by how much farther it is than its neighbors, which outlines
+// shapes even when the points have no color to speak of.
+export class EyeDomePass {
+  constructor() {
+    this.target = new THREE.WebGLRenderTarget(1, 1);
+    this.target.depthTexture = new THREE.DepthTexture(1, 1);
+    this.target.depthTexture.type = THREE.UnsignedIntType;
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        colorTexture: { value: this.target.texture },
+        depthTexture: { value: this.target.depthTexture },
+        texelSize: { value: new THREE.Vector2() },
+        cameraNear: { value: 0.1 },
+        cameraFar: { value: 1000 },
+        orthographic: { value: false },
+        radius: { value: EDL_RADIUS },
+        strength: { value: EDL_STRENGTH },
+      },
+      vertexShader: EDL_VERTEX_SHADER,
+      fragmentShader: EDL_FRAGMENT_SHADER,
+      depthTest: false,
+      depthWrite: false,
+    });
+    this.scene = new THREE.Scene();
+    this.scene.add(
+      new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material)
+    );
+    this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  }
+
+  // Call before rendering the scene into the target
+  setSize(renderer) {
+    const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+    if (size.x !== this.target.width || size.y !== this.target.height)
+      this.target.setSize(size.x, size.y);
+    this.material.uniforms.texelSize.value.set(1 / size.x, 1 / size.y);
+  }
+
+  // Draws the target to the screen with the lighting applied
+  render(renderer, camera) {
+    const uniforms = this.material.uniforms;
+    uniforms.cameraNear.value = camera.near;
+    uniforms.cameraFar.value = camera.far;
+    uniforms.orthographic.value = Boolean(camera.isOrthographicCamera);
+    renderer.setRenderTarget(null);
+    renderer.render(this.scene, this.camera);
+  }
+
+  dispose() {
+    this.target.depthTexture.dispose();
+    this.target.dispose();
+    this.material.dispose();
+  }
+}
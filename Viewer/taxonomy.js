@@ -0,0 +1,103 @@
+// taxonomy.js
+
+// A project's label taxonomy, loaded from a labels.json like:
+//
+//   {
+//     "classes": {
+//       "furniture": { "color": "#8c5a2b" },
+//       "chair": { "parent": "furniture", "color": [0.6, 0.4, 0.2] },
+//       "structure": { "background": true },
+//       "floor": { "parent": "structure", "color": "#999999" }
+//     },
+//     "labels": { "Chair_01": "chair", "Floor": "floor" }
+//   }
+//
+// Labels resolve to a class by exact name, either through "labels" or by
+// being a class name themselves. Color and background are inherited from the
+// nearest ancestor that sets them.
+export class LabelTaxonomy {
+  constructor(json) {
+    if (!json || typeof json !== "object" || !json.classes)
+      throw new Error('Taxonomy needs a "classes" object');
+    this.classes = new Map();
+    for (const [name, spec] of Object.entries(json.classes)) {
+      this.classes.set(name, {
+        parent: spec.parent ?? null,
+        color: spec.color !== undefined ? parseColor(spec.color, name) : null,
+        background: spec.background ?? null,
+      });
+    }
+    this.labels = new Map(Object.entries(json.labels || {}));
+    for (const [label, className] of this.labels) {
+      if (!this.classes.has(className))
+        throw new Error(
+          `Label "${label}" maps to unknown class "${className}"`
+        );
+    }
+    for (const [name, cls] of this.classes) {
+      if (cls.parent !== null && !this.classes.has(cls.parent))
+        throw new Error(`Class "${name}" has unknown parent "${cls.parent}"`);
+    }
+  }
+
+  static async fromFile(file) {
+    let json;
+    try {
+      json = JSON.parse(await file.text());
+    } catch (e) {
+      throw new Error(`${file.name} is not valid JSON: ${e.message}`);
+    }
+    return new LabelTaxonomy(json);
+  }
+
+  getClass(label) {
+    if (this.labels.has(label)) return this.labels.get(label);
+    return this.classes.has(label) ? label : null;
+  }
+
+  // The class followed by its ancestors, stopping at a cycle
+  getLineage(className) {
+    const lineage = [];
+    for (let c = className; c !== null && !lineage.includes(c); ) {
+      lineage.push(c);
+      c = this.classes.get(c).parent;
+    }
+    return lineage;
+  }
+
+  // Resolved color for a label, or null if neither it nor its classes set one
+  getColor(label) {
+    const className = this.getClass(label);
+    if (className === null) return null;
+    for (const c of this.getLineage(className)) {
+      const color = this.classes.get(c).color;
+      if (color) return color;
+    }
+    return null;
+  }
+
+  isBackground(label) {
+    const className = this.getClass(label);
+    if (className === null) return false;
+    for (const c of this.getLineage(className)) {
+      const background = this.classes.get(c).background;
+      if (background !== null) return Boolean(background);
+    }
+    return false;
+  }
+}
+
+// Accepts "#rrggbb" or [r, g, b] in 0-1
+function parseColor(value, className) {
+  if (typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value)) {
+    const rgb = parseInt(value.slice(1), 16);
+    return [(rgb >> 16) / 255, ((rgb >> 8) & 0xff) / 255, (rgb & 0xff) / 255];
+  }
+  if (
+    Array.isArray(value) &&
+    value.length === 3 &&
+    value.every((c) => typeof c === "number")
+  )
+    return value;
+  throw new Error(`Class "${className}" has an invalid color`);
+}
@@ -1,9 +1,33 @@
 // uiManager.js
 
+import { isMovementKey } from "./cameraControls.js";
+
+const TIMELINE_BUFFER_COLORS = {
+  empty: "transparent",
+  loading: "rgba(64, 150, 255, 0.25)",
+  loaded: "rgba(255, 255, 255, 0.3)",
+  error: "rgba(255, 77, 79, 0.6)",
+};
+
+// Point color modes in the order the view button cycles through them
+const COLOR_MODE_BUTTONS = [
+  { mode: "label", text: "🎨 View: Label" },
+  { mode: "rgb", text: "🎨 View: RGB" },
+  { mode: "normal", text: "🌐 View: Normal" },
+  { mode: "height", text: "📏 View: Height" },
+  { mode: "distance", text: "🔭 View: Distance" },
+  { mode: "speed", text: "💨 View: Speed" },
+  { mode: "clearance", text: "🧱 View: Clearance" },
+  { mode: "change", text: "✨ View: Changes" },
+];
+
 export class UIManager {
   constructor() {
     this.dom = this.cacheDOMElements();
     this.eventListeners = {};
+    this.objectCount = 0;
+    this.navigationMode = "orbit";
+    this.colorModeIndex = 0; // Into COLOR_MODE_BUTTONS
     this.bindEventListeners();
   }
 
@@ -31,6 +55,8 @@ export class UIManager {
       "resizer",
       "ui-overlay",
       "folder-upload",
+      "taxonomy-upload",
+      "taxonomy-upload-label",
       "breadcrumb",
       "tree-container",
       "loading",
@@ -43,6 +69,38 @@ export class UIManager {
       "info-panel",
       "settings-panel",
       "controls-panel",
+      "legend-panel",
+      "legend-show-all",
+      "legend-reset-colors",
+      "legend-list",
+      "objects-panel",
+      "picks-panel",
+      "pick-list",
+      "clear-pins",
+      "pick-tooltip",
+      "toggle-inspect",
+      "measure-type",
+      "toggle-measure",
+      "measure-panel",
+      "measure-list",
+      "export-measurements",
+      "clear-measurements",
+      "object-list",
+      "compare-panel",
+      "compare-primary-name",
+      "compare-name",
+      "comparison-mode",
+      "close-comparison",
+      "split-divider",
+      "views-panel",
+      "toggle-views",
+      "view-name",
+      "save-view",
+      "view-list",
+      "path-list",
+      "toggle-camera-path",
+      "export-views",
+      "import-views",
       "scene-info",
       "frame-info",
       "points-info",
@@ -55,7 +113,47 @@ export class UIManager {
       "speed-value",
       "fps-control",
       "fps-value",
+      "memory-budget",
+      "memory-budget-value",
+      "cache-limit",
+      "cache-limit-value",
+      "navigation-mode",
+      "move-speed",
+      "move-speed-value",
+      "look-speed",
+      "look-speed-value",
+      "toggle-follow",
+      "capture-scale",
+      "capture-transparent",
+      "take-screenshot",
+      "record-format",
+      "record-sequence",
+      "follow-style",
+      "follow-smoothing",
+      "follow-smoothing-value",
+      "toggle-trails",
+      "ghost-count",
+      "ghost-count-value",
+      "clear-cache",
+      "export-format",
+      "export-annotations",
       "toggle-color-mode",
+      "colormap",
+      "height-min",
+      "height-max",
+      "height-auto",
+      "toggle-section-box",
+      "clip-side",
+      "add-clip-plane",
+      "remove-ceiling",
+      "clear-clipping",
+      "clip-gizmos",
+      "toggle-interpolation",
+      "point-shape",
+      "point-shading",
+      "eye-dome-lighting",
+      "point-budget",
+      "point-budget-value",
       "toggle-wireframe",
       "toggle-focus-point",
       "play-pause",
@@ -65,6 +163,7 @@ export class UIManager {
       "next-frame",
       "timeline-container",
       "timeline",
+      "timeline-buffer",
       "timeline-progress",
       "timeline-handle",
       "current-time",
@@ -84,13 +183,22 @@ export class UIManager {
       this.emit("folder-upload", e.target.files)
     );
 
+    this.dom["taxonomy-upload"].addEventListener("change", (e) => {
+      if (e.target.files.length > 0)
+        this.emit("taxonomy-upload", e.target.files[0]);
+      e.target.value = ""; // Picking the same file again reloads it
+    });
+
     // Tree view (Event Delegation)
     this.dom["tree-container"].addEventListener("click", (e) => {
       const item = e.target.closest(".tree-item");
       if (!item) return;
 
       if (item.dataset.path) {
-        this.emit("tree-node-select", JSON.parse(item.dataset.path));
+        const path = JSON.parse(item.dataset.path);
+        if (e.shiftKey || e.target.closest(".tree-compare"))
+          this.emit("tree-node-compare", path);
+        else this.emit("tree-node-select", path);
       } else if (item.classList.contains("folder")) {
         item.classList.toggle("collapsed");
       }
@@ -119,6 +227,15 @@ export class UIManager {
       this.dom["point-size-value"].textContent = size.toFixed(2);
       this.emit("point-size-change", size);
     });
+    this.dom["point-shape"].addEventListener("change", (e) =>
+      this.emit("point-style-change", { shape: e.target.value })
+    );
+    this.dom["point-shading"].addEventListener("change", (e) =>
+      this.emit("point-style-change", { shading: e.target.checked })
+    );
+    this.dom["eye-dome-lighting"].addEventListener("change", (e) =>
+      this.emit("point-style-change", { edl: e.target.checked })
+    );
     this.dom["speed-control"].addEventListener("input", (e) => {
       const speed = parseFloat(e.target.value);
       this.dom["speed-value"].textContent = speed.toFixed(1);
@@ -129,24 +246,96 @@ export class UIManager {
       this.dom["fps-value"].textContent = fps;
       this.emit("fps-change", fps);
     });
+    this.dom["toggle-interpolation"].addEventListener("click", (e) => {
+      const button = e.currentTarget;
+      button.classList.toggle("active");
+      this.emit("interpolation-toggle", button.classList.contains("active"));
+    });
+    this.dom["point-budget"].addEventListener("input", (e) => {
+      const millions = parseInt(e.target.value, 10);
+      this.dom["point-budget-value"].textContent = `${millions} M`;
+      this.emit("point-budget-change", millions * 1_000_000);
+    });
+    this.dom["memory-budget"].addEventListener("input", (e) => {
+      const megabytes = parseInt(e.target.value, 10);
+      this.dom["memory-budget-value"].textContent = `${megabytes} MB`;
+      this.emit("memory-budget-change", megabytes);
+    });
+    this.dom["cache-limit"].addEventListener("change", (e) => {
+      const megabytes = parseInt(e.target.value, 10);
+      this.setCacheLimit(megabytes);
+      this.emit("cache-limit-change", megabytes);
+    });
+    this.dom["cache-limit"].addEventListener("input", (e) => {
+      this.dom["cache-limit-value"].textContent = formatCacheLimit(
+        parseInt(e.target.value, 10)
+      );
+    });
+    this.dom["clear-cache"].addEventListener("click", () =>
+      this.emit("clear-cache")
+    );
+    this.dom["navigation-mode"].addEventListener("change", (e) => {
+      this.navigationMode = e.target.value;
+      e.target.blur(); // Leave the keys to the camera
+      this.emit("navigation-mode-change", this.navigationMode);
+    });
+    this.dom["move-speed"].addEventListener("input", (e) => {
+      const speed = parseFloat(e.target.value);
+      this.dom["move-speed-value"].textContent = `${speed.toFixed(1)} m/s`;
+      this.emit("navigation-speed-change", { moveSpeed: speed });
+    });
+    this.dom["look-speed"].addEventListener("input", (e) => {
+      const speed = parseFloat(e.target.value);
+      this.dom["look-speed-value"].textContent = speed.toFixed(1);
+      this.emit("navigation-speed-change", { lookSpeed: speed });
+    });
+
+    this.dom["export-annotations"].addEventListener("click", () =>
+      this.emit("export-annotations", this.dom["export-format"].value)
+    );
 
     this.dom["toggle-color-mode"].addEventListener("click", (e) => {
-      const btn = e.currentTarget;
-      let mode;
-      if (btn.innerText.includes("Label")) {
-        mode = "rgb";
-        btn.innerHTML = "🎨 View: RGB";
-      } else if (btn.innerText.includes("RGB")) {
-        mode = "normal";
-        btn.innerHTML = "🌐 View: Normal";
-      } else {
-        mode = "label";
-        btn.innerHTML = "🎨 View: Label";
-      }
+      this.colorModeIndex =
+        (this.colorModeIndex + 1) % COLOR_MODE_BUTTONS.length;
+      const { mode, text } = COLOR_MODE_BUTTONS[this.colorModeIndex];
+      e.currentTarget.innerHTML = text;
       this.emit("color-mode-toggle", mode);
     });
+    this.dom["colormap"].addEventListener("change", (e) =>
+      this.emit("colormap-change", e.target.value)
+    );
+    const onHeightRangeInput = () => {
+      const min = parseFloat(this.dom["height-min"].value);
+      const max = parseFloat(this.dom["height-max"].value);
+      if (min < max) this.emit("height-range-change", [min, max]);
+    };
+    this.dom["height-min"].addEventListener("change", onHeightRangeInput);
+    this.dom["height-max"].addEventListener("change", onHeightRangeInput);
+    this.dom["height-auto"].addEventListener("click", () =>
+      this.emit("height-range-change", null)
+    );
+    this.dom["toggle-section-box"].addEventListener("click", (e) => {
+      e.currentTarget.classList.toggle("active");
+      this.emit(
+        "section-box-toggle",
+        e.currentTarget.classList.contains("active")
+      );
+    });
+    this.dom["add-clip-plane"].addEventListener("click", () =>
+      this.emit("clip-plane-add", this.dom["clip-side"].value)
+    );
+    this.dom["remove-ceiling"].addEventListener("click", () =>
+      this.emit("remove-ceiling")
+    );
+    this.dom["clear-clipping"].addEventListener("click", () =>
+      this.emit("clipping-clear")
+    );
+    this.dom["clip-gizmos"].addEventListener("change", (e) =>
+      this.emit("clip-gizmos-toggle", e.target.checked)
+    );
     this.dom["toggle-wireframe"].addEventListener("click", (e) => {
       e.currentTarget.classList.toggle("active");
+      this.updateObjectsPanelVisibility();
       this.emit(
         "wireframe-toggle",
         e.currentTarget.classList.contains("active")
@@ -159,6 +348,125 @@ export class UIManager {
         e.currentTarget.classList.contains("active")
       );
     });
+    this.dom["toggle-inspect"].addEventListener("click", (e) => {
+      e.currentTarget.classList.toggle("active");
+      this.emit("inspect-toggle", e.currentTarget.classList.contains("active"));
+    });
+    this.dom["toggle-measure"].addEventListener("click", (e) => {
+      e.currentTarget.classList.toggle("active");
+      this.emit("measure-toggle", e.currentTarget.classList.contains("active"));
+    });
+    this.dom["measure-type"].addEventListener("change", (e) =>
+      this.emit("measure-type-change", e.target.value)
+    );
+    this.dom["measure-list"].addEventListener("click", (e) => {
+      const row = e.target.closest(".measure-row");
+      if (!row || !e.target.closest(".legend-button")) return;
+      this.emit("measurement-remove", parseInt(row.dataset.index, 10));
+    });
+    this.dom["export-measurements"].addEventListener("click", () =>
+      this.emit("measurements-export")
+    );
+    this.dom["clear-measurements"].addEventListener("click", () =>
+      this.emit("measurements-clear")
+    );
+    this.dom["pick-list"].addEventListener("click", (e) => {
+      const row = e.target.closest(".pick-row");
+      if (!row || !e.target.closest(".legend-button")) return;
+      this.emit("pin-remove", parseInt(row.dataset.index, 10));
+    });
+    this.dom["clear-pins"].addEventListener("click", () =>
+      this.emit("pins-clear")
+    );
+    this.dom["capture-scale"].addEventListener("change", (e) =>
+      this.emit("capture-options-change", {
+        scale: parseInt(e.target.value, 10),
+      })
+    );
+    this.dom["capture-transparent"].addEventListener("change", (e) =>
+      this.emit("capture-options-change", { transparent: e.target.checked })
+    );
+    this.dom["take-screenshot"].addEventListener("click", () =>
+      this.emit("screenshot")
+    );
+    this.dom["record-sequence"].addEventListener("click", () =>
+      this.emit("record-sequence", this.dom["record-format"].value)
+    );
+    this.dom["toggle-follow"].addEventListener("click", (e) =>
+      this.emit("follow-toggle", !e.currentTarget.classList.contains("active"))
+    );
+    this.dom["follow-style"].addEventListener("change", (e) =>
+      this.emit("follow-options-change", { style: e.target.value })
+    );
+    this.dom["follow-smoothing"].addEventListener("input", (e) => {
+      const seconds = parseFloat(e.target.value);
+      this.dom["follow-smoothing-value"].textContent = `${seconds.toFixed(
+        1
+      )} s`;
+      this.emit("follow-options-change", { smoothing: seconds });
+    });
+    this.dom["toggle-trails"].addEventListener("click", () =>
+      this.emit("trails-toggle")
+    );
+    this.dom["ghost-count"].addEventListener("input", (e) => {
+      const count = parseInt(e.target.value);
+      this.dom["ghost-count-value"].textContent = count;
+      this.emit("ghost-count-change", count);
+    });
+    this.dom["comparison-mode"].addEventListener("change", (e) => {
+      this.updateSplitDivider();
+      this.emit("comparison-mode-change", e.target.value);
+    });
+    this.dom["close-comparison"].addEventListener("click", () =>
+      this.emit("comparison-close")
+    );
+    this.dom["toggle-views"].addEventListener("click", (e) => {
+      e.currentTarget.classList.toggle("active");
+      this.dom["views-panel"].classList.toggle(
+        "hidden",
+        !e.currentTarget.classList.contains("active")
+      );
+    });
+    const saveView = () => {
+      this.emit("view-save", this.dom["view-name"].value.trim());
+      this.dom["view-name"].value = "";
+    };
+    this.dom["save-view"].addEventListener("click", saveView);
+    this.dom["view-name"].addEventListener("keydown", (e) => {
+      if (e.key === "Enter") saveView();
+    });
+    this.dom["view-list"].addEventListener("click", (e) => {
+      const row = e.target.closest(".view-row");
+      if (!row) return;
+      const index = parseInt(row.dataset.index, 10);
+      const action = e.target.dataset.action;
+      if (action === "keyframe") this.emit("view-keyframe", index);
+      else if (action === "remove") this.emit("view-remove", index);
+      else if (e.target.closest(".legend-name"))
+        this.emit("view-recall", index);
+    });
+    this.dom["path-list"].addEventListener("click", (e) => {
+      const row = e.target.closest(".view-row");
+      if (!row) return;
+      if (e.target.closest(".legend-button"))
+        this.emit("keyframe-remove", parseInt(row.dataset.index, 10));
+      else if (e.target.closest(".legend-name"))
+        this.emit("seek", parseInt(row.dataset.frame, 10));
+    });
+    this.dom["toggle-camera-path"].addEventListener("click", (e) =>
+      this.emit(
+        "camera-path-toggle",
+        !e.currentTarget.classList.contains("active")
+      )
+    );
+    this.dom["export-views"].addEventListener("click", () =>
+      this.emit("views-export")
+    );
+    this.dom["import-views"].addEventListener("change", (e) => {
+      if (e.target.files.length > 0)
+        this.emit("views-import", e.target.files[0]);
+      e.target.value = "";
+    });
     this.dom.colorSwatches.forEach((s) =>
       s.addEventListener("click", (e) => {
         this.dom.colorSwatches.forEach((sw) => sw.classList.remove("active"));
@@ -167,6 +475,31 @@ export class UIManager {
       })
     );
 
+    // Label legend (Event Delegation)
+    this.dom["legend-list"].addEventListener("input", (e) => {
+      if (!e.target.classList.contains("legend-color")) return;
+      const id = parseInt(e.target.closest(".legend-row").dataset.id, 10);
+      this.emit("label-color-change", id, hexToRgb(e.target.value));
+    });
+    this.dom["legend-list"].addEventListener("click", (e) => {
+      const button = e.target.closest(".legend-button");
+      if (!button) return;
+      const id = parseInt(button.closest(".legend-row").dataset.id, 10);
+      if (button.classList.contains("legend-visibility")) {
+        this.emit("label-visibility-toggle", id);
+      } else if (button.classList.contains("legend-solo")) {
+        this.emit("label-solo-toggle", id);
+      } else if (button.classList.contains("legend-follow")) {
+        this.emit("label-follow-toggle", id);
+      }
+    });
+    this.dom["legend-show-all"].addEventListener("click", () =>
+      this.emit("label-show-all")
+    );
+    this.dom["legend-reset-colors"].addEventListener("click", () =>
+      this.emit("label-colors-reset")
+    );
+
     // Playback
     this.dom["play-pause"].addEventListener("click", () =>
       this.emit("play-pause")
@@ -186,17 +519,22 @@ export class UIManager {
 
     // Keyboard shortcuts
     document.addEventListener("keydown", (e) => {
-      if (e.target.tagName === "INPUT") return;
+      if (e.target.tagName === "INPUT" || e.target.tagName === "SELECT") return;
+      if (isMovementKey(this.navigationMode, e.key)) return; // Camera keys
       const keyMap = {
         " ": "play-pause",
         arrowleft: "prev-frame",
         arrowright: "next-frame",
         r: "reset-view",
+        escape: "recording-cancel",
       };
       if (keyMap[e.key.toLowerCase()]) {
         e.preventDefault();
         this.emit(keyMap[e.key.toLowerCase()]);
       }
+      if (/^[1-9]$/.test(e.key)) {
+        this.emit("view-recall", parseInt(e.key, 10) - 1);
+      }
       if (e.key.toLowerCase() === "h") {
         e.preventDefault();
         this.togglePanels();
@@ -262,6 +600,11 @@ export class UIManager {
 
       if (type === "scene") {
         item.dataset.path = JSON.stringify(path);
+        const compare = document.createElement("button");
+        compare.className = "tree-compare";
+        compare.title = "Compare with the open scene (or Shift+click)";
+        compare.textContent = "⇄";
+        item.appendChild(compare);
         node.appendChild(item);
         if (data.description) {
           const desc = document.createElement("div");
@@ -346,6 +689,12 @@ export class UIManager {
     this.dom.breadcrumb.style.color = isError ? "#ff4d4f" : "";
   }
 
+  updateTaxonomyName(name) {
+    this.dom["taxonomy-upload-label"].textContent = name
+      ? `🏷️ Labels: ${name}`
+      : "🏷️ Load labels.json";
+  }
+
   updateSelectedTreeItem(path) {
     const pathStr = JSON.stringify(path);
     this.dom["tree-container"]
@@ -357,6 +706,32 @@ export class UIManager {
     if (item) item.classList.add("selected");
   }
 
+  // Paths are [room, scene, seed, prompt]; comparison null closes the panel
+  updateComparison(primary, comparison) {
+    const name = (path) => path.slice(2).join(" / ");
+    this.dom["compare-panel"].classList.toggle("hidden", !comparison);
+    this.dom["tree-container"]
+      .querySelectorAll(".tree-item.compared")
+      .forEach((el) => el.classList.remove("compared"));
+    if (comparison) {
+      this.dom["compare-primary-name"].textContent = name(primary);
+      this.dom["compare-name"].textContent = name(comparison);
+      const item = this.dom["tree-container"].querySelector(
+        `.tree-item[data-path='${JSON.stringify(comparison)}']`
+      );
+      if (item) item.classList.add("compared");
+    }
+    this.updateSplitDivider();
+  }
+
+  updateSplitDivider() {
+    const isComparing = !this.dom["compare-panel"].classList.contains("hidden");
+    this.dom["split-divider"].classList.toggle(
+      "hidden",
+      !isComparing || this.dom["comparison-mode"].value !== "split"
+    );
+  }
+
   updateSceneInfo(name) {
     this.dom["scene-info"].textContent = name;
   }
@@ -380,6 +755,280 @@ export class UIManager {
     this.dom["timeline-handle"].style.left = `${percent}%`;
   }
 
+  // Shades the timeline by decode state, one run of equal states per stop pair
+  updateTimelineBuffer(states) {
+    const n = states.length;
+    const buffer = this.dom["timeline-buffer"];
+    if (n === 0) {
+      buffer.style.background = "none";
+      return;
+    }
+    const stops = [];
+    let runStart = 0;
+    for (let i = 1; i <= n; i++) {
+      if (i < n && states[i] === states[runStart]) continue;
+      const color = TIMELINE_BUFFER_COLORS[states[runStart]];
+      stops.push(
+        `${color} ${((runStart / n) * 100).toFixed(2)}%`,
+        `${color} ${((i / n) * 100).toFixed(2)}%`
+      );
+      runStart = i;
+    }
+    buffer.style.background = `linear-gradient(90deg, ${stops.join(", ")})`;
+  }
+
+  // entries: [{ id, name, count, color: [r, g, b], visible, solo }]. Rows are
+  // updated in place so an open color picker survives frame changes.
+  updateLegend(entries) {
+    const list = this.dom["legend-list"];
+    this.dom["legend-panel"].classList.toggle("hidden", entries.length === 0);
+    const rows = new Map();
+    for (const row of list.children) rows.set(row.dataset.id, row);
+
+    entries.forEach((entry, index) => {
+      const key = String(entry.id);
+      let row = rows.get(key);
+      rows.delete(key);
+      if (!row) row = this.createLegendRow(entry);
+      if (list.children[index] !== row) {
+        list.insertBefore(row, list.children[index] || null);
+      }
+
+      const colorInput = row.querySelector(".legend-color");
+      const hex = rgbToHex(entry.color);
+      if (colorInput.value !== hex) colorInput.value = hex;
+      row.querySelector(".legend-count").textContent =
+        entry.count.toLocaleString();
+      row.classList.toggle("label-hidden", !entry.visible);
+      row
+        .querySelector(".legend-visibility")
+        .classList.toggle("active", entry.visible);
+      row.querySelector(".legend-solo").classList.toggle("active", entry.solo);
+      row
+        .querySelector(".legend-follow")
+        .classList.toggle("active", entry.followed);
+    });
+    rows.forEach((row) => row.remove());
+  }
+
+  createLegendRow(entry) {
+    const row = document.createElement("div");
+    row.className = "legend-row";
+    row.dataset.id = entry.id;
+    row.innerHTML = `<input type="color" class="legend-color" title="Change color">
+      <span class="legend-name"></span>
+      <span class="legend-count"></span>
+      <button class="legend-button legend-visibility" title="Show/hide">👁️</button>
+      <button class="legend-button legend-solo" title="Show only this label">Solo</button>
+      <button class="legend-button legend-follow" title="Follow with the camera">🎥</button>`;
+    const name = row.querySelector(".legend-name");
+    name.textContent = entry.name;
+    name.title = entry.name;
+    return row;
+  }
+
+  // objects: [{ trackId, name, color, centroid, size, velocity }]
+  updateObjectList(objects) {
+    const list = this.dom["object-list"];
+    const fragment = document.createDocumentFragment();
+    const format = (v) => v.toFixed(2);
+    for (const object of objects) {
+      const row = document.createElement("div");
+      row.className = "object-row";
+      const title = document.createElement("div");
+      title.className = "object-title";
+      const swatch = document.createElement("span");
+      swatch.className = "object-swatch";
+      swatch.style.background = rgbToHex(object.color);
+      title.append(swatch, `#${object.trackId} ${object.name}`);
+
+      const speed = object.velocity ? Math.hypot(...object.velocity) : null;
+      const details = [
+        `Size ${object.size.map(format).join(" × ")} m`,
+        `Centroid (${object.centroid.map(format).join(", ")})`,
+        `Velocity ${speed === null ? "–" : `${format(speed)} m/s`}`,
+      ];
+      row.appendChild(title);
+      for (const text of details) {
+        const detail = document.createElement("div");
+        detail.className = "object-detail";
+        detail.textContent = text;
+        row.appendChild(detail);
+      }
+      fragment.appendChild(row);
+    }
+    list.replaceChildren(fragment);
+    this.objectCount = objects.length;
+    this.updateObjectsPanelVisibility();
+  }
+
+  // The object list goes with the boxes it describes
+  updateObjectsPanelVisibility() {
+    const boxesShown =
+      this.dom["toggle-wireframe"].classList.contains("active");
+    this.dom["objects-panel"].classList.toggle(
+      "hidden",
+      !boxesShown || this.objectCount === 0
+    );
+  }
+
+  showPickTooltip(info, clientX, clientY) {
+    const tooltip = this.dom["pick-tooltip"];
+    tooltip.replaceChildren(...createPickDetails(info));
+    tooltip.classList.remove("hidden");
+    // Keep the tooltip inside the viewer, flipping to the cursor's other side
+    const bounds = this.dom["viewer-container"].getBoundingClientRect();
+    let left = clientX - bounds.left + 16;
+    let top = clientY - bounds.top + 16;
+    if (left + tooltip.offsetWidth > bounds.width)
+      left -= tooltip.offsetWidth + 32;
+    if (top + tooltip.offsetHeight > bounds.height)
+      top -= tooltip.offsetHeight + 32;
+    tooltip.style.left = `${left}px`;
+    tooltip.style.top = `${top}px`;
+  }
+
+  hidePickTooltip() {
+    this.dom["pick-tooltip"].classList.add("hidden");
+  }
+
+  updatePinnedPoints(pins) {
+    this.dom["picks-panel"].classList.toggle("hidden", pins.length === 0);
+    const rows = pins.map((pin, i) => {
+      const row = document.createElement("div");
+      row.className = "pick-row";
+      row.dataset.index = i;
+      const title = document.createElement("div");
+      title.className = "object-title";
+      title.textContent = `#${i + 1}`;
+      const remove = document.createElement("button");
+      remove.className = "legend-button";
+      remove.title = "Unpin";
+      remove.textContent = "✕";
+      row.append(title, ...createPickDetails(pin), remove);
+      return row;
+    });
+    this.dom["pick-list"].replaceChildren(...rows);
+  }
+
+  // entries: [{ name, value }], value already formatted
+  updateMeasurementList(entries) {
+    this.dom["measure-panel"].classList.toggle("hidden", entries.length === 0);
+    const rows = entries.map(({ name, value }, i) => {
+      const row = document.createElement("div");
+      row.className = "measure-row";
+      row.dataset.index = i;
+      const label = document.createElement("span");
+      label.className = "legend-name";
+      label.textContent = `#${i + 1} ${name}`;
+      const valueSpan = document.createElement("span");
+      valueSpan.className = "legend-count";
+      valueSpan.textContent = value;
+      const remove = document.createElement("button");
+      remove.className = "legend-button";
+      remove.title = "Remove";
+      remove.textContent = "✕";
+      row.append(label, valueSpan, remove);
+      return row;
+    });
+    this.dom["measure-list"].replaceChildren(...rows);
+  }
+
+  // views: [{ name }], path: [{ frame, view }] with frames 0-based
+  updateCameraViews(views, path) {
+    const rows = views.map(({ name }, i) => {
+      const row = document.createElement("div");
+      row.className = "view-row";
+      row.dataset.index = i;
+      const key = document.createElement("span");
+      key.className = "view-key";
+      key.textContent = i < 9 ? i + 1 : "";
+      const label = document.createElement("span");
+      label.className = "legend-name";
+      label.title = "Go to view";
+      label.textContent = name;
+      const keyframe = document.createElement("button");
+      keyframe.className = "legend-button";
+      keyframe.dataset.action = "keyframe";
+      keyframe.title = "Add to the camera path at the current frame";
+      keyframe.textContent = "＋Path";
+      const remove = document.createElement("button");
+      remove.className = "legend-button";
+      remove.dataset.action = "remove";
+      remove.title = "Remove";
+      remove.textContent = "✕";
+      row.append(key, label, keyframe, remove);
+      return row;
+    });
+    this.dom["view-list"].replaceChildren(...rows);
+
+    const keyframes = path.map(({ frame, view }, i) => {
+      const row = document.createElement("div");
+      row.className = "view-row";
+      row.dataset.index = i;
+      row.dataset.frame = frame;
+      const label = document.createElement("span");
+      label.className = "legend-name";
+      label.title = "Go to frame";
+      label.textContent = `Frame ${frame + 1} → ${view}`;
+      const remove = document.createElement("button");
+      remove.className = "legend-button";
+      remove.title = "Remove keyframe";
+      remove.textContent = "✕";
+      row.append(label, remove);
+      return row;
+    });
+    this.dom["path-list"].replaceChildren(...keyframes);
+  }
+
+  setFollowActive(active) {
+    this.dom["toggle-follow"].classList.toggle("active", active);
+  }
+
+  setTrailsActive(active) {
+    this.dom["toggle-trails"].classList.toggle("active", active);
+  }
+
+  // progress in [0, 1] while trails are computed, null when done
+  setTrailsProgress(progress) {
+    this.dom["toggle-trails"].textContent =
+      progress === null
+        ? "〰️ Motion Trails"
+        : `〰️ Motion Trails (${Math.round(progress * 100)}%)`;
+  }
+
+  // [bottom, top] of the height colors in use
+  updateHeightRange([min, max]) {
+    this.dom["height-min"].value = min.toFixed(2);
+    this.dom["height-max"].value = max.toFixed(2);
+  }
+
+  setSectionBoxActive(active) {
+    this.dom["toggle-section-box"].classList.toggle("active", active);
+  }
+
+  setCameraPathActive(active) {
+    this.dom["toggle-camera-path"].classList.toggle("active", active);
+  }
+
+  setCacheLimit(megabytes) {
+    this.dom["cache-limit"].value = megabytes;
+    this.dom["cache-limit-value"].textContent = formatCacheLimit(megabytes);
+  }
+
+  updateCacheUsage(bytes) {
+    const megabytes = bytes / (1024 * 1024);
+    this.dom["clear-cache"].textContent = `🗑️ Clear Cache (${
+      megabytes >= 1024
+        ? `${(megabytes / 1024).toFixed(1)} GB`
+        : `${Math.round(megabytes)} MB`
+    })`;
+  }
+
+  updateBuffering(isBuffering) {
+    this.dom["timeline-handle"].classList.toggle("buffering", isBuffering);
+  }
+
   updateTimeLabels(current, total) {
     const format = (s) =>
       `${String(Math.floor(s / 60)).padStart(2, "0")}:${String(
@@ -394,6 +1043,16 @@ export class UIManager {
     this.dom["play-text"].textContent = isPlaying ? "Pause" : "Play";
   }
 
+  downloadFile(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   loadVideo(videoFile) {
     const player = this.dom["video-player"];
     const placeholder = this.dom["video-placeholder"];
@@ -462,3 +1121,48 @@ export class UIManager {
     document.addEventListener("mouseup", onUp);
   }
 }
+
+function formatCacheLimit(megabytes) {
+  return megabytes === 0 ? "Off" : `${megabytes} MB`;
+}
+
+// One line per property of a picked point
+function createPickDetails(info) {
+  const format = (values, digits = 3) =>
+    values.map((v) => v.toFixed(digits)).join(", ");
+  const details = [
+    ["Index", info.index.toLocaleString()],
+    ["Frame", info.frame === null ? "static scene" : info.frame + 1],
+    ["XYZ", format(info.position)],
+    ["Normal", format(info.normal, 2)],
+    ["RGB", info.color.map((c) => Math.round(c * 255)).join(", ")],
+    ["Label", info.label],
+  ];
+  return details.map(([key, value]) => {
+    const line = document.createElement("div");
+    const keySpan = document.createElement("span");
+    keySpan.className = "pick-key";
+    keySpan.textContent = key;
+    line.append(keySpan, String(value));
+    return line;
+  });
+}
+
+function rgbToHex(color) {
+  return `#${color
+    .map((c) =>
+      Math.round(Math.max(0, Math.min(1, c)) * 255)
+        .toString(16)
+        .padStart(2, "0")
+    )
+    .join("")}`;
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [
+    (value >> 16) / 255,
+    ((value >> 8) & 0xff) / 255,
+    (value & 0xff) / 255,
+  ];
+}
@@ -1,6 +1,42 @@
 // viewer3D.js
 
-const MAX_POINTS = 4_000_000; // Pre-allocate buffer for ~4 million points
+import { CameraControls } from "./cameraControls.js";
+import { ClippingTool } from "./clipping.js";
+import { buildPointOctree, NODE_CAPACITY } from "./octree.js";
+import { COLORMAPS, createRampTexture } from "./colormaps.js";
+import {
+  PointMaterial,
+  EyeDomePass,
+  COLOR_MODES,
+  NO_VALUE,
+  PENDING_VALUE,
+  createColorUniforms,
+} from "./pointRendering.js";
+
+const BUFFER_GROWTH = 1.25; // Headroom when a point buffer has to grow
+const DEFAULT_POINT_BUDGET = 5_000_000; // Static points drawn at most
+const LOD_UPDATE_INTERVAL = 200; // ms between level-of-detail updates
+const PREVIEW_POINTS = 500_000; // Drawn of a static cloud until its octree is built
+// Octree nodes stay uploaded while out of view, up to this times the budget
+const NODE_CACHE_FACTOR = 1.5;
+const OBJECT_LABEL_HEIGHT = 0.15; // World-space height of box text labels
+const PICK_MARKER_SCALE = 1.5; // Marker radius relative to the pick radius
+// Render layers, so split comparison can draw each scene in its own viewport
+const PRIMARY_LAYER = 1;
+const COMPARISON_LAYER = 2;
+const COMPARISON_TINTS = { primary: 0x4cc9f0, comparison: 0xf77f00 };
+// Buffer attributes of every Points geometry, with their item sizes. The
+// shader colors points from these, see PointMaterial.
+const POINT_ATTRIBUTES = [
+  ["position", 3],
+  ["color", 3],
+  ["normal", 3],
+  ["labelId", 1],
+  ["value", 1],
+];
+const LABEL_TEXTURE_WIDTH = 256; // Label ids per row of the label texture
+const TINT_STRENGTH = 0.5; // Share of the tint in overlaid point colors
+const GHOST_OPACITY = 0.5; // Opacity of the nearest ghost frame
 
 export class Viewer3D {
   constructor(container) {
@@ -12,6 +48,7 @@ export class Viewer3D {
       0.1,
       1000
     );
+    this.perspectiveCamera = this.camera; // this.camera is the active one
     this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
 
     this.raycaster = new THREE.Raycaster();
@@ -19,13 +56,55 @@ export class Viewer3D {
 
     this.points = null;
     this.staticPoints = null;
+    // Last frames handed in, kept so level of detail can rewrite buffers
+    this.dynamicFrame = null;
+    this.staticFrame = null;
+    // Shared by all point materials; colors are picked in the shader
+    this.colorUniforms = createColorUniforms();
+    this.labelPalette = new Float32Array(0); // RGB per label id
+    this.hiddenLabels = null; // Uint8Array by label id, 1 = hidden
+    this.sceneHeightRange = [0, 1]; // Bottom and top of the scene
+    this.heightRange = null; // Set by the user, overrides sceneHeightRange
+    this.blendPositions = null; // Scratch buffer for blended frames
+    this.isBlended = false; // Dynamic points sit between two frames
+    // Static clouds are drawn from an octree, see updateLevelOfDetail
+    this.pointBudget = DEFAULT_POINT_BUDGET;
+    this.lodUpdateTime = 0;
+    this.lodView = new THREE.Matrix4(); // Camera the last update was for
+    this.lodProjection = new THREE.Matrix4();
     this.wireframeGroup = new THREE.Group();
+    this.objectVisuals = new Map(); // track id -> { box, label }
+    this.boxEdges = new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1));
 
     this.cameraTarget = new THREE.Vector3(0, 0, 0);
     this.targetIndicator = null;
+    this.controls = null;
 
     this.isCKeyDown = false;
+    this.pointSize = 0.3;
+    this.pointStyle = { shape: "square", shading: false };
+    this.eyeDome = null; // EyeDomePass while eye-dome lighting is on
+
+    // Point picking; handlers receive a pick (or null) and the mouse event
+    this.isPickingEnabled = false;
+    this.onPointHover = null;
+    this.onPointClick = null;
+    this.pickGroup = new THREE.Group();
+    this.hoverMarker = null;
+    this.measureGroup = new THREE.Group();
+    this.captureRestore = null; // Settings to put back after a capture
+    this.clipping = null; // Section box and clipping planes, see init
+    this.trailGroup = new THREE.Group();
+    this.ghosts = []; // { points, frame } per earlier frame shown
 
+    // Second scene for comparison, created on first use
+    this.comparisonMode = null; // null, "split" or "overlay"
+    this.comparisonPoints = null;
+    this.comparisonStaticPoints = null;
+    this.comparisonFrame = null;
+    this.comparisonStaticFrame = null;
+
+    this.updateLabelTexture();
     this.init();
     this.initControls();
   }
@@ -36,6 +115,7 @@ export class Viewer3D {
       this.container.clientHeight
     );
     this.renderer.setClearColor(0x1a1a1a, 1);
+    this.renderer.localClippingEnabled = true;
     this.container.appendChild(this.renderer.domElement);
 
     this.camera.position.set(5, 5, 5);
@@ -56,93 +136,97 @@ export class Viewer3D {
 
     this.scene.add(this.wireframeGroup);
     this.wireframeGroup.visible = false;
+    this.scene.add(this.pickGroup, this.measureGroup, this.trailGroup);
+    this.hoverMarker = this.createPickMarker(0xffff00);
+    this.hoverMarker.visible = false;
+    this.pickGroup.add(this.hoverMarker);
+    // Before the camera controls, so its handles get the pointer first
+    this.clipping = new ClippingTool(
+      this.renderer.domElement,
+      () => this.camera,
+      (clientX, clientY) => this.getPointer(clientX, clientY)
+    );
+    this.scene.add(this.clipping.group);
 
-    // --- OPTIMIZATION: Create Points object once with a large buffer ---
-    const createPointsObject = () => {
-      const geom = new THREE.BufferGeometry();
-      geom.setAttribute(
-        "position",
-        new THREE.BufferAttribute(new Float32Array(MAX_POINTS * 3), 3).setUsage(
-          THREE.DynamicDrawUsage
-        )
-      );
+    this.points = this.createPoints(PRIMARY_LAYER);
+    this.staticPoints = this.createPoints(PRIMARY_LAYER);
+    this.scene.add(this.points, this.staticPoints);
+    this.camera.layers.enable(PRIMARY_LAYER);
+    this.camera.layers.enable(COMPARISON_LAYER);
+    this.raycaster.layers.set(PRIMARY_LAYER);
+  }
+
+  // Buffers start empty and grow to the data, see ensureCapacity
+  createPoints(layer) {
+    const mat = new PointMaterial({
+      size: this.pointSize,
+      ...this.pointStyle,
+      colorUniforms: this.colorUniforms,
+    });
+    mat.clippingPlanes = this.clipping.clippingPlanes; // Shared, see ClippingTool
+    const points = new THREE.Points(this.createPointsGeometry(0), mat);
+    points.frustumCulled = false; // Important for large scenes
+    points.layers.set(layer);
+    points.userData.tint =
+      layer === COMPARISON_LAYER
+        ? COMPARISON_TINTS.comparison
+        : COMPARISON_TINTS.primary;
+    points.userData.octree = null; // Static clouds only
+    points.userData.cancelOctree = null; // Stops the octree being built
+    points.userData.sourceIndices = null; // Frame index per point, if not all
+    return points;
+  }
+
+  createPointsGeometry(capacity) {
+    const geom = new THREE.BufferGeometry();
+    for (const [name, itemSize] of POINT_ATTRIBUTES) {
       geom.setAttribute(
-        "color",
-        new THREE.BufferAttribute(new Float32Array(MAX_POINTS * 3), 3).setUsage(
-          THREE.DynamicDrawUsage
-        )
+        name,
+        new THREE.BufferAttribute(
+          new Float32Array(capacity * itemSize),
+          itemSize
+        ).setUsage(THREE.DynamicDrawUsage)
       );
-      const mat = new THREE.PointsMaterial({
-        size: 0.3,
-        vertexColors: true,
-        sizeAttenuation: true,
-      });
-      const points = new THREE.Points(geom, mat);
-      points.frustumCulled = false; // Important for large scenes
-      return points;
-    };
+    }
+    geom.setDrawRange(0, 0);
+    return geom;
+  }
 
-    this.points = createPointsObject();
-    this.staticPoints = createPointsObject();
-    this.scene.add(this.points, this.staticPoints);
+  // Grows a Points buffer to hold count points. Frames of slightly varying
+  // size get some headroom so they don't reallocate every time. The old
+  // contents are dropped; callers write a frame afterwards.
+  ensureCapacity(points, count) {
+    const capacity = points.geometry.attributes.position.count;
+    if (count <= capacity) return;
+    this.resizePoints(
+      points,
+      capacity === 0
+        ? count
+        : Math.max(count, Math.ceil(capacity * BUFFER_GROWTH))
+    );
+  }
+
+  resizePoints(points, capacity) {
+    points.geometry.dispose();
+    points.geometry = this.createPointsGeometry(capacity);
   }
 
   initControls() {
-    // ... (your extensive camera control logic would go here)
-    // This is a simplified version of your original code
     const canvas = this.renderer.domElement;
-    let isMouseDown = false,
-      isPanning = false;
-    const prevMouse = new THREE.Vector2();
-
-    canvas.addEventListener("contextmenu", (e) => e.preventDefault());
-    canvas.addEventListener("mousedown", (e) => {
-      isMouseDown = true;
-      isPanning = e.button === 2;
-      prevMouse.set(e.clientX, e.clientY);
-    });
-    canvas.addEventListener("mouseup", () => {
-      isMouseDown = false;
-      isPanning = false;
-    });
-    canvas.addEventListener("mousemove", (e) => {
-      if (!isMouseDown) return;
-      const delta = new THREE.Vector2(
-        e.clientX - prevMouse.x,
-        e.clientY - prevMouse.y
-      );
+    this.controls = new CameraControls(canvas, this.camera, this.cameraTarget);
+    this.controls.orthographicCamera.layers.mask = this.camera.layers.mask;
 
-      if (isPanning) {
-        const dist = this.camera.position.distanceTo(this.cameraTarget);
-        const panSpeed = dist * 0.002;
-        const right = new THREE.Vector3()
-          .setFromMatrixColumn(this.camera.matrix, 0)
-          .multiplyScalar(-delta.x * panSpeed);
-        const up = new THREE.Vector3()
-          .setFromMatrixColumn(this.camera.matrix, 1)
-          .multiplyScalar(delta.y * panSpeed);
-        this.camera.position.add(right).add(up);
-        this.cameraTarget.add(right).add(up);
-      } else {
-        const offset = this.camera.position.clone().sub(this.cameraTarget);
-        const spherical = new THREE.Spherical().setFromVector3(offset);
-        spherical.theta -= delta.x * 0.005;
-        spherical.phi -= delta.y * 0.005;
-        spherical.phi = Math.max(0.01, Math.min(Math.PI - 0.01, spherical.phi));
-        offset.setFromSpherical(spherical);
-        this.camera.position.copy(this.cameraTarget).add(offset);
-      }
-      this.camera.lookAt(this.cameraTarget);
-      this.targetIndicator.position.copy(this.cameraTarget);
-      prevMouse.set(e.clientX, e.clientY);
-    });
-    canvas.addEventListener("wheel", (e) => {
-      e.preventDefault();
-      const scale = e.deltaY > 0 ? 1.1 : 0.9;
-      this.camera.position
-        .sub(this.cameraTarget)
-        .multiplyScalar(scale)
-        .add(this.cameraTarget);
+    let hoverPending = false;
+    canvas.addEventListener("mousemove", (e) => {
+      // One hover pick per animation frame at most
+      if (this.controls.isDragging() || !this.isPickingEnabled) return;
+      if (!this.onPointHover || hoverPending) return;
+      hoverPending = true;
+      requestAnimationFrame(() => {
+        hoverPending = false;
+        if (this.isPickingEnabled)
+          this.onPointHover(this.pickPoint(e.clientX, e.clientY), e);
+      });
     });
 
     window.addEventListener("keydown", (e) => {
@@ -151,110 +235,790 @@ export class Viewer3D {
     window.addEventListener("keyup", (e) => {
       if (e.key.toLowerCase() === "c") this.isCKeyDown = false;
     });
+    canvas.addEventListener("mouseleave", (e) => {
+      if (this.isPickingEnabled && this.onPointHover)
+        this.onPointHover(null, e);
+    });
     canvas.addEventListener("click", (e) => {
-      if (!this.isCKeyDown) return;
-      const rect = canvas.getBoundingClientRect();
-      this.mouse.set(
-        ((e.clientX - rect.left) / rect.width) * 2 - 1,
-        -((e.clientY - rect.top) / rect.height) * 2 + 1
-      );
-      this.raycaster.setFromCamera(this.mouse, this.camera);
-      const intersects = this.raycaster.intersectObjects(
-        [this.points, this.staticPoints],
-        false
-      );
-      if (intersects.length > 0) {
-        this.cameraTarget.copy(intersects[0].point);
-        this.targetIndicator.position.copy(this.cameraTarget);
-        this.camera.lookAt(this.cameraTarget);
+      if (this.controls.wasDragged()) return;
+      if (this.isCKeyDown) {
+        const pick = this.pickPoint(e.clientX, e.clientY);
+        if (pick) this.controls.lookAt(new THREE.Vector3(...pick.position));
+      } else if (this.isPickingEnabled && this.onPointClick) {
+        this.onPointClick(this.pickPoint(e.clientX, e.clientY), e);
       }
     });
   }
 
+  // --- Navigation ---
+
+  setNavigationMode(mode) {
+    this.controls.setMode(mode);
+    this.camera = this.controls.camera;
+  }
+
+  setNavigationSpeeds(speeds) {
+    this.controls.setSpeeds(speeds);
+  }
+
+  // The perspective camera as { position, target, fov }, for bookmarks
+  getCameraView() {
+    return {
+      position: this.perspectiveCamera.position.toArray(),
+      target: this.cameraTarget.toArray(),
+      fov: this.perspectiveCamera.fov,
+    };
+  }
+
+  setCameraView({ position, target, fov }) {
+    const camera = this.perspectiveCamera;
+    camera.position.fromArray(position);
+    camera.fov = fov;
+    camera.updateProjectionMatrix();
+    this.controls.lookAt(new THREE.Vector3(...target));
+  }
+
+  // Point for the camera to follow, or null to stop; see CameraControls
+  setFollowPoint(point) {
+    this.controls.setFollowPoint(point);
+  }
+
+  setFollowOptions(options) {
+    this.controls.setFollowOptions(options);
+  }
+
+  // Floor for first-person mode; null means y = 0
+  setFloorPlane(plane) {
+    this.controls.setFloorPlane(plane);
+  }
+
+  // On-screen point size in the orthographic view, in CSS pixels for a
+  // viewport height in CSS pixels; the material applies the pixel ratio.
+  // Perspective points shrink with distance on their own; here the size is
+  // matched to the same world extent as in the perspective view.
+  getOrthographicPointSize(height) {
+    const camera = this.camera;
+    const worldHeight = (camera.top - camera.bottom) / camera.zoom;
+    const worldSize = this.getPickThreshold() * 2;
+    return (worldSize * height) / worldHeight;
+  }
+
+  // --- Picking ---
+
+  // With size attenuation a point covers about size * tan(fov / 2) world
+  // units, so this radius follows the point size at any zoom
+  getPickThreshold() {
+    const halfFov = THREE.MathUtils.degToRad(this.perspectiveCamera.fov / 2);
+    return (this.pointSize * Math.tan(halfFov)) / 2;
+  }
+
+  // Normalized device coordinates of a pointer position, or null outside
+  // the primary scene. In split comparison that is the left half.
+  getPointer(clientX, clientY) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const width = this.comparisonMode === "split" ? rect.width / 2 : rect.width;
+    if (clientX - rect.left > width) return null;
+    return this.mouse.set(
+      ((clientX - rect.left) / width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+  }
+
+  // The point under the cursor as { source: "dynamic" | "static", index,
+  // position }, where index is into the frame the points came from
+  pickPoint(clientX, clientY) {
+    const pointer = this.getPointer(clientX, clientY);
+    if (!pointer) return null;
+    this.raycaster.setFromCamera(pointer, this.camera);
+    this.raycaster.params.Points.threshold = this.getPickThreshold();
+    // Points of hidden labels or cut away by clipping are still in the
+    // buffers
+    const point = new THREE.Vector3();
+    const nodes = this.staticPoints.children.filter((node) => node.visible);
+    const hit = this.raycaster
+      .intersectObjects([this.points, this.staticPoints, ...nodes], false)
+      .find(({ object, index }) => {
+        const { labelId, position } = object.geometry.attributes;
+        return (
+          !this.isLabelHidden(labelId.array[index]) &&
+          !this.clipping.isClipped(point.fromArray(position.array, index * 3))
+        );
+      });
+    if (!hit) return null;
+
+    const positions = hit.object.geometry.attributes.position.array;
+    const sourceIndices = hit.object.userData.sourceIndices;
+    return {
+      source: hit.object === this.points ? "dynamic" : "static",
+      index: sourceIndices ? sourceIndices[hit.index] : hit.index,
+      position: Array.from(
+        positions.subarray(hit.index * 3, hit.index * 3 + 3)
+      ),
+    };
+  }
+
+  setPickingEnabled(enabled) {
+    this.isPickingEnabled = enabled;
+    if (!enabled) this.setHoverMarker(null);
+  }
+
+  createPickMarker(color) {
+    const marker = new THREE.Mesh(
+      new THREE.SphereGeometry(1, 12, 8),
+      new THREE.MeshBasicMaterial({ color, wireframe: true, depthTest: false })
+    );
+    marker.renderOrder = 1;
+    this.scalePickMarker(marker);
+    return marker;
+  }
+
+  scalePickMarker(marker) {
+    marker.scale.setScalar(this.getPickThreshold() * PICK_MARKER_SCALE);
+  }
+
+  setHoverMarker(position) {
+    this.hoverMarker.visible = position !== null;
+    if (position) this.hoverMarker.position.fromArray(position);
+  }
+
+  // Numbered markers for pinned picks, replacing the previous ones
+  setPinnedMarkers(positions) {
+    this.clearGroup(this.pickGroup, (child) => child !== this.hoverMarker);
+    positions.forEach((position, i) => {
+      const marker = this.createPickMarker(0xff8800);
+      marker.position.fromArray(position);
+      const label = this.createTextSprite(String(i + 1));
+      label.position.fromArray(position);
+      label.position.y += OBJECT_LABEL_HEIGHT;
+      this.pickGroup.add(marker, label);
+    });
+  }
+
   clearScene() {
-    this.points.geometry.setDrawRange(0, 0);
-    this.staticPoints.geometry.setDrawRange(0, 0);
-    while (this.wireframeGroup.children.length > 0)
-      this.wireframeGroup.remove(this.wireframeGroup.children[0]);
+    this.dynamicFrame = this.staticFrame = null;
+    // Hand the memory back instead of keeping the largest scene's buffers
+    this.resizePoints(this.points, 0);
+    this.resizePoints(this.staticPoints, 0);
+    this.setOctree(this.staticPoints, null);
+    this.showObjects([]);
+    this.showGhosts([]);
+    this.showTrails([]);
+    this.clipping.clear();
   }
 
   addStaticPoints(frameData) {
     if (!frameData || frameData.pointCount === 0) return;
-    this.staticPoints.geometry.attributes.position.array.set(
-      frameData.positions
-    );
-    this.staticPoints.geometry.attributes.position.needsUpdate = true;
-    this.staticPoints.geometry.setDrawRange(0, frameData.pointCount);
+    this.staticFrame = frameData;
+    this.setOctree(this.staticPoints, frameData);
+    this.writeFrame(this.staticPoints, frameData);
   }
 
   displayFrame(frameData) {
-    if (!frameData) return;
+    this.dynamicFrame = frameData;
+    this.isBlended = false;
+    if (!frameData) {
+      // Frame failed to load; show the static scene alone
+      this.points.geometry.setDrawRange(0, 0);
+      return;
+    }
     // --- OPTIMIZATION: Update buffer data in-place ---
-    const geom = this.points.geometry;
-    geom.attributes.position.array.set(frameData.positions);
-    geom.attributes.position.needsUpdate = true;
-    geom.setDrawRange(0, frameData.pointCount);
+    this.writeFrame(this.points, frameData, PENDING_VALUE);
+  }
 
-    this.createWireframesForFrame(frameData);
+  // Moves the dynamic points a fraction t of the way to the same points in
+  // nextFrame, which must list them in the same order. A null nextFrame
+  // puts them back on the displayed frame.
+  blendDynamicFrame(nextFrame, t) {
+    const frame = this.dynamicFrame;
+    if (!frame || (!nextFrame && !this.isBlended)) return;
+    this.isBlended = Boolean(nextFrame);
+    if (!nextFrame) {
+      this.writeAttribute(this.points, "position", frame.positions);
+      return;
+    }
+    const length = frame.pointCount * 3;
+    if (!this.blendPositions || this.blendPositions.length < length)
+      this.blendPositions = new Float32Array(length);
+    const from = frame.positions;
+    const to = nextFrame.positions;
+    const blended = this.blendPositions.subarray(0, length);
+    for (let i = 0; i < length; i++)
+      blended[i] = from[i] + (to[i] - from[i]) * t;
+    this.writeAttribute(this.points, "position", blended);
   }
 
-  createWireframesForFrame(frameData) {
-    // Clear old wireframes
-    while (this.wireframeGroup.children.length > 0) {
-      const child = this.wireframeGroup.children[0];
-      this.wireframeGroup.remove(child);
-      child.geometry.dispose();
-      child.material.dispose();
+  // [points, frame] for every cloud that may be on screen
+  getClouds() {
+    const clouds = [
+      [this.staticPoints, this.staticFrame],
+      [this.points, this.dynamicFrame],
+    ];
+    if (this.comparisonPoints) {
+      clouds.push(
+        [this.comparisonStaticPoints, this.comparisonStaticFrame],
+        [this.comparisonPoints, this.comparisonFrame]
+      );
     }
+    for (const { points, frame } of this.ghosts) clouds.push([points, frame]);
+    return clouds;
+  }
 
-    const pointsByLabel = new Map();
-    for (let i = 0; i < frameData.pointCount; i++) {
-      const label = frameData.labels[i];
-      const lowerLabel = String(label).toLowerCase();
-      if (
-        ["default", "floor", "wall", "ceiling", "scene"].some((term) =>
-          lowerLabel.includes(term)
-        )
-      )
-        continue;
+  // Copies a frame into a Points buffer. Everything the shader needs for any
+  // color mode goes in at once, so changing modes or labels rewrites nothing.
+  // Only the points listed in sourceIndices are copied, if set. value is
+  // what the value attribute starts out as. Static clouds with an octree
+  // show the nodes it selected instead, see showNodes.
+  writeFrame(points, frameData, value = NO_VALUE) {
+    if (points.userData.octree) {
+      this.showNodes(points, frameData);
+      return;
+    }
+    const sourceIndices = points.userData.sourceIndices;
+    const count = sourceIndices ? sourceIndices.length : frameData.pointCount;
+    this.ensureCapacity(points, count);
+    points.geometry.setDrawRange(0, count);
+    this.writeAttribute(points, "position", frameData.positions);
+    this.writeAttribute(points, "color", frameData.colors);
+    this.writeAttribute(points, "normal", frameData.normals);
+    this.writeAttribute(points, "labelId", frameData.labelIds);
+    this.writeAttribute(points, "value", null, value);
+  }
+
+  // Copies per-point values into an attribute, through sourceIndices if
+  // set; null values fill it with `fill`. Only the drawn range is uploaded.
+  writeAttribute(points, name, values, fill = 0) {
+    const attribute = points.geometry.attributes[name];
+    const { itemSize, array } = attribute;
+    const length = points.geometry.drawRange.count * itemSize;
+    const sourceIndices = points.userData.sourceIndices;
+    if (!values) {
+      array.fill(fill, 0, length);
+    } else if (sourceIndices) {
+      for (let i = 0; i < sourceIndices.length; i++) {
+        const s = sourceIndices[i] * itemSize;
+        for (let c = 0; c < itemSize; c++)
+          array[i * itemSize + c] = values[s + c];
+      }
+    } else {
+      array.set(values.subarray(0, length));
+    }
+    attribute.updateRange.offset = 0;
+    attribute.updateRange.count = length;
+    attribute.needsUpdate = true;
+    // Raycasting tests against the sphere it computed first; make it
+    // compute one around the new positions on the next pick
+    if (name === "position") points.geometry.boundingSphere = null;
+  }
+
+  // --- Point Colors ---
+
+  // mode: a key of COLOR_MODES. Only uniforms change; buffers keep everything
+  // each mode needs.
+  setColorMode(mode) {
+    this.colorUniforms.colorMode.value = COLOR_MODES[mode] ?? COLOR_MODES.label;
+  }
+
+  // RGB per label id, see DataManager.getLabelPalette()
+  setLabelPalette(palette) {
+    this.labelPalette = palette;
+    this.updateLabelTexture();
+  }
+
+  setHiddenLabels(hiddenLabels) {
+    this.hiddenLabels = hiddenLabels;
+    this.updateLabelTexture();
+  }
+
+  isLabelHidden(id) {
+    return this.hiddenLabels !== null && this.hiddenLabels[id] === 1;
+  }
+
+  // Label colors with visibility in alpha, one texel per label id
+  updateLabelTexture() {
+    const labelCount = Math.max(1, this.labelPalette.length / 3);
+    const width = Math.min(labelCount, LABEL_TEXTURE_WIDTH);
+    const height = Math.ceil(labelCount / width);
+    const data = new Uint8Array(width * height * 4);
+    // Padding past the last label stays visible for labels not seen yet
+    for (let id = 0; id < width * height; id++) {
+      for (let c = 0; c < 3; c++)
+        data[id * 4 + c] = Math.round(
+          (this.labelPalette[id * 3 + c] ?? 1) * 255
+        );
+      data[id * 4 + 3] = this.isLabelHidden(id) ? 0 : 255;
+    }
+    const texture = new THREE.DataTexture(
+      data,
+      width,
+      height,
+      THREE.RGBAFormat
+    );
+    texture.needsUpdate = true;
+    const uniforms = this.colorUniforms;
+    if (uniforms.labelTexture.value) uniforms.labelTexture.value.dispose();
+    uniforms.labelTexture.value = texture;
+    uniforms.labelTextureSize.value.set(width, height);
+  }
+
+  // Per-point values for the speed, clearance and change color modes, for
+  // the frame shown; null if there is nothing to compare it with. Until they
+  // are set, points keep their label colors.
+  setDynamicValues(values) {
+    this.writeAttribute(this.points, "value", values, NO_VALUE);
+  }
+
+  setComparisonValues(values) {
+    if (this.comparisonPoints)
+      this.writeAttribute(this.comparisonPoints, "value", values, NO_VALUE);
+  }
+
+  // k: index into the frames given to showGhosts
+  setGhostValues(k, values) {
+    const entry = this.ghosts[k];
+    if (entry && entry.frame)
+      this.writeAttribute(entry.points, "value", values, NO_VALUE);
+  }
+
+  // Back to label colors until values are set again, e.g. for another mode
+  clearPointValues() {
+    const clouds = [this.points, ...this.ghosts.map((entry) => entry.points)];
+    if (this.comparisonPoints) clouds.push(this.comparisonPoints);
+    for (const points of clouds)
+      this.writeAttribute(points, "value", null, PENDING_VALUE);
+  }
+
+  // name: a key of COLORMAPS, for the height and distance modes
+  setColormap(name) {
+    const uniform = this.colorUniforms.rampTexture;
+    uniform.value.dispose();
+    uniform.value = createRampTexture(COLORMAPS[name]);
+  }
+
+  // [bottom, top] in world units for height colors, or null to follow the
+  // scene's bounds
+  setHeightRange(range) {
+    this.heightRange = range;
+    this.colorUniforms.heightRange.value.fromArray(this.getHeightRange());
+  }
+
+  getHeightRange() {
+    return this.heightRange || this.sceneHeightRange;
+  }
+
+  // Height colors span the scene from bottom to top unless a range was set,
+  // distance colors its diagonal
+  setColorRanges(box) {
+    this.sceneHeightRange = [box.min.y, box.max.y];
+    this.setHeightRange(this.heightRange);
+    this.colorUniforms.maxDistance.value = Math.max(
+      box.getSize(new THREE.Vector3()).length(),
+      1e-3
+    );
+  }
 
-      if (!pointsByLabel.has(label)) pointsByLabel.set(label, []);
-      pointsByLabel
-        .get(label)
-        .push(new THREE.Vector3().fromArray(frameData.positions, i * 3));
+  // --- Comparison ---
+
+  // "split" draws the comparison scene in a right-hand viewport with the
+  // same camera; "overlay" draws both scenes together, tinted. null hides it.
+  setComparisonMode(mode) {
+    if (mode && !this.comparisonPoints) {
+      this.comparisonPoints = this.createPoints(COMPARISON_LAYER);
+      this.comparisonStaticPoints = this.createPoints(COMPARISON_LAYER);
+      this.scene.add(this.comparisonPoints, this.comparisonStaticPoints);
     }
+    this.comparisonMode = mode;
+    if (!this.comparisonPoints) return;
+    this.comparisonPoints.visible = Boolean(mode);
+    this.comparisonStaticPoints.visible = Boolean(mode);
+
+    for (const [points] of this.getClouds()) this.applyTint(points);
+    this.updateCameraAspect();
+  }
+
+  // Overlaid scenes are told apart by blending in a color per scene
+  applyTint(points) {
+    points.material.setTint(
+      this.comparisonMode === "overlay" ? points.userData.tint : null,
+      TINT_STRENGTH
+    );
+  }
+
+  setComparisonStaticPoints(frameData) {
+    this.comparisonStaticFrame = frameData;
+    this.setOctree(this.comparisonStaticPoints, frameData);
+    if (frameData) this.writeFrame(this.comparisonStaticPoints, frameData);
+    else this.comparisonStaticPoints.geometry.setDrawRange(0, 0);
+  }
+
+  displayComparisonFrame(frameData) {
+    this.comparisonFrame = frameData;
+    if (frameData)
+      this.writeFrame(this.comparisonPoints, frameData, PENDING_VALUE);
+    else this.comparisonPoints.geometry.setDrawRange(0, 0);
+  }
+
+  clearComparison() {
+    if (!this.comparisonPoints) return;
+    this.displayComparisonFrame(null);
+    this.setComparisonStaticPoints(null);
+    this.setComparisonMode(null);
+  }
+
+  // --- Clipping ---
+
+  // A section box around the scene, or none
+  setSectionBox(enabled) {
+    const bounds = this.clipping.bounds;
+    this.clipping.setSectionBox(
+      enabled && !bounds.isEmpty() ? bounds.clone().expandByScalar(0.01) : null
+    );
+  }
+
+  hasSectionBox() {
+    return this.clipping.box !== null;
+  }
+
+  // side: the side to cut away, as "x+", "x-", "y+" and so on. The plane
+  // starts through the middle of the scene.
+  addClipPlane(side) {
+    const bounds = this.clipping.bounds;
+    if (bounds.isEmpty()) return;
+    const center = bounds.getCenter(new THREE.Vector3());
+    this.clipping.setPlane(side, center.getComponent("xyz".indexOf(side[0])));
+  }
+
+  // ceilingHeight: y of the lowest ceiling point, or null to cut just below
+  // the top of the scene
+  removeCeiling(ceilingHeight) {
+    this.clipping.removeCeiling(ceilingHeight);
+  }
+
+  clearClipping() {
+    this.clipping.clear();
+  }
+
+  setClippingGizmosVisible(visible) {
+    this.clipping.setGizmosVisible(visible);
+  }
 
-    for (const [label, points] of pointsByLabel.entries()) {
-      if (points.length < 2) continue;
-      const box = new THREE.Box3().setFromPoints(points);
-      if (box.isEmpty()) continue;
-      // Note: color here is hardcoded, should be passed from dataManager ideally
-      this.wireframeGroup.add(
-        new THREE.Box3Helper(box, new THREE.Color(0xff00ff))
+  // --- Level of Detail ---
+
+  // Large static clouds get an octree, whose nodes are drawn as Points of
+  // their own (see showNodes); smaller ones are drawn whole. The octree is
+  // built on a worker, and an even sample of the cloud is drawn meanwhile.
+  setOctree(points, frameData) {
+    for (const node of [...points.children]) {
+      points.remove(node);
+      node.geometry.dispose(); // The material is the cloud's
+    }
+    if (points.userData.cancelOctree) points.userData.cancelOctree();
+    points.userData.cancelOctree = null;
+    points.userData.octree = null;
+    points.userData.lodNodes = null;
+    points.userData.nodePoints = new Map(); // Octree node -> Points
+    points.userData.sourceIndices = null;
+    if (!frameData || frameData.pointCount <= NODE_CAPACITY) return;
+
+    const { pointCount } = frameData;
+    const preview = new Uint32Array(
+      Math.min(pointCount, PREVIEW_POINTS, this.pointBudget)
+    );
+    const step = pointCount / preview.length;
+    for (let i = 0; i < preview.length; i++) preview[i] = Math.floor(i * step);
+    points.userData.sourceIndices = preview;
+    points.userData.cancelOctree = buildPointOctree(frameData, (octree) => {
+      points.userData.cancelOctree = null;
+      points.userData.octree = octree;
+      points.userData.sourceIndices = null;
+      this.resizePoints(points, 0);
+      this.selectNodes(points);
+      this.writeFrame(points, frameData);
+    });
+  }
+
+  setPointBudget(budget) {
+    this.pointBudget = budget;
+    this.updateLevelOfDetail(true);
+  }
+
+  // Picks octree nodes for the static clouds again once the view changed,
+  // at most every LOD_UPDATE_INTERVAL ms, and shows them if the selection
+  // differs
+  updateLevelOfDetail(force = false) {
+    const camera = this.camera;
+    camera.updateMatrixWorld();
+    const hasMoved =
+      !this.lodView.equals(camera.matrixWorld) ||
+      !this.lodProjection.equals(camera.projectionMatrix);
+    const now = performance.now();
+    if (!force && (!hasMoved || now - this.lodUpdateTime < LOD_UPDATE_INTERVAL))
+      return;
+    this.lodUpdateTime = now;
+    this.lodView.copy(camera.matrixWorld);
+    this.lodProjection.copy(camera.projectionMatrix);
+    for (const [points, frame] of this.getClouds()) {
+      if (frame && points.userData.octree && this.selectNodes(points))
+        this.writeFrame(points, frame);
+    }
+  }
+
+  // Returns whether the selection changed
+  selectNodes(points) {
+    const { octree, lodNodes } = points.userData;
+    const height = this.renderer.getSize(new THREE.Vector2()).y;
+    const nodes = octree.select(this.camera, height, this.pointBudget);
+    if (
+      lodNodes &&
+      lodNodes.length === nodes.length &&
+      nodes.every((node, i) => node === lodNodes[i])
+    )
+      return false;
+    points.userData.lodNodes = nodes;
+    return true;
+  }
+
+  // Shows the selected nodes and hides the rest. A node's points are
+  // uploaded when it is first selected; hidden nodes keep theirs until
+  // NODE_CACHE_FACTOR times the point budget is reached, and the ones out
+  // of view longest are freed first.
+  showNodes(points, frameData) {
+    const { lodNodes, nodePoints } = points.userData;
+    const selected = new Set(lodNodes);
+    const now = performance.now();
+    for (const node of lodNodes) {
+      let nodeCloud = nodePoints.get(node);
+      if (!nodeCloud) {
+        nodeCloud = this.createNodePoints(points, node, frameData);
+        nodePoints.set(node, nodeCloud);
+        points.add(nodeCloud);
+      }
+      nodeCloud.visible = true;
+      nodeCloud.userData.shownAt = now;
+    }
+
+    let uploaded = 0;
+    const hidden = [];
+    for (const [node, nodeCloud] of nodePoints) {
+      uploaded += node.count;
+      if (selected.has(node)) continue;
+      nodeCloud.visible = false;
+      hidden.push(node);
+    }
+    hidden.sort(
+      (a, b) =>
+        nodePoints.get(a).userData.shownAt - nodePoints.get(b).userData.shownAt
+    );
+    for (const node of hidden) {
+      if (uploaded <= this.pointBudget * NODE_CACHE_FACTOR) break;
+      const nodeCloud = nodePoints.get(node);
+      points.remove(nodeCloud);
+      nodeCloud.geometry.dispose();
+      nodePoints.delete(node);
+      uploaded -= node.count;
+    }
+  }
+
+  // One octree node's points, drawn with the cloud's material
+  createNodePoints(points, node, frameData) {
+    const nodeCloud = new THREE.Points(
+      this.createPointsGeometry(0),
+      points.material
+    );
+    nodeCloud.layers.mask = points.layers.mask;
+    const { order } = points.userData.octree;
+    nodeCloud.userData.sourceIndices = order.subarray(
+      node.start,
+      node.start + node.count
+    );
+    this.writeFrame(nodeCloud, frameData);
+    return nodeCloud;
+  }
+
+  // --- Motion ---
+
+  // frames: frames (or null) before the current one, nearest first, each
+  // fainter than the one before. null leaves out a frame that isn't loaded.
+  // Values for the color mode are set with setGhostValues.
+  showGhosts(frames) {
+    while (this.ghosts.length > frames.length) {
+      const { points } = this.ghosts.pop();
+      this.scene.remove(points);
+      points.geometry.dispose();
+      points.material.dispose();
+    }
+    frames.forEach((frame, k) => {
+      let entry = this.ghosts[k];
+      if (!entry) {
+        const points = this.createPoints(PRIMARY_LAYER);
+        points.material.transparent = true;
+        points.material.depthWrite = false;
+        this.applyTint(points);
+        this.scene.add(points);
+        entry = this.ghosts[k] = { points, frame: null };
+      }
+      entry.frame = frame;
+      if (!frame) {
+        entry.points.geometry.setDrawRange(0, 0);
+        return;
+      }
+      entry.points.material.opacity = GHOST_OPACITY * (1 - k / frames.length);
+      this.writeFrame(entry.points, frame, PENDING_VALUE);
+    });
+  }
+
+  // trails: [{ color, positions: [[x, y, z], ...] }], drawn as lines with a
+  // dot per frame, so uneven spacing shows where an object jumps
+  showTrails(trails) {
+    this.clearGroup(this.trailGroup);
+    for (const { color, positions } of trails) {
+      if (positions.length < 2) continue;
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute(
+        "position",
+        new THREE.Float32BufferAttribute(positions.flat(), 3)
+      );
+      const rgb = new THREE.Color(...color);
+      this.trailGroup.add(
+        new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: rgb })),
+        new THREE.Points(
+          geometry,
+          new THREE.PointsMaterial({
+            color: rgb,
+            size: 4,
+            sizeAttenuation: false,
+          })
+        )
       );
     }
   }
 
+  // objects: [{ trackId, name, color, center, size, yaw }]. Visuals are
+  // keyed by track id, so a tracked object keeps its box and label sprite.
+  showObjects(objects) {
+    const seen = new Set();
+    for (const object of objects) {
+      seen.add(object.trackId);
+      let visual = this.objectVisuals.get(object.trackId);
+      if (!visual) {
+        visual = {
+          box: new THREE.LineSegments(
+            this.boxEdges,
+            new THREE.LineBasicMaterial()
+          ),
+          label: this.createTextSprite(`#${object.trackId} ${object.name}`),
+        };
+        this.wireframeGroup.add(visual.box, visual.label);
+        this.objectVisuals.set(object.trackId, visual);
+      }
+      const { box, label } = visual;
+      box.material.color.setRGB(...object.color);
+      box.position.set(...object.center);
+      box.rotation.set(0, object.yaw, 0);
+      // Keep flat objects visible as a rectangle
+      box.scale.set(...object.size.map((s) => Math.max(s, 1e-3)));
+      label.position.set(
+        object.center[0],
+        object.center[1] + object.size[1] / 2 + OBJECT_LABEL_HEIGHT,
+        object.center[2]
+      );
+    }
+
+    for (const [trackId, visual] of this.objectVisuals) {
+      if (seen.has(trackId)) continue;
+      this.wireframeGroup.remove(visual.box, visual.label);
+      visual.box.material.dispose();
+      visual.label.material.map.dispose();
+      visual.label.material.dispose();
+      this.objectVisuals.delete(trackId);
+    }
+  }
+
+  createTextSprite(text) {
+    const canvas = document.createElement("canvas");
+    const context = canvas.getContext("2d");
+    const font = "bold 28px sans-serif";
+    context.font = font;
+    canvas.width = Math.ceil(context.measureText(text).width) + 16;
+    canvas.height = 40;
+    // Resizing the canvas resets its state
+    context.font = font;
+    context.fillStyle = "rgba(0, 0, 0, 0.6)";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = "#ffffff";
+    context.textBaseline = "middle";
+    context.fillText(text, 8, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const sprite = new THREE.Sprite(
+      new THREE.SpriteMaterial({ map: texture, depthTest: false })
+    );
+    sprite.scale.set(
+      (OBJECT_LABEL_HEIGHT * canvas.width) / canvas.height,
+      OBJECT_LABEL_HEIGHT,
+      1
+    );
+    sprite.renderOrder = 1; // Drawn over the points
+    return sprite;
+  }
+
   getVisibleObjectCount() {
-    return this.wireframeGroup.children.length;
+    return this.objectVisuals.size;
   }
 
   // --- Update Methods ---
-  updatePointSize(size) {
-    if (this.points) this.points.material.size = size;
-    if (this.staticPoints) this.staticPoints.material.size = size;
+  // measurements: [{ line: [[x, y, z], ...], text, textPosition }]; pending
+  // holds the anchors placed so far for the next measurement
+  showMeasurements(measurements, pending) {
+    this.clearGroup(this.measureGroup);
+    for (const { line, text, textPosition } of measurements) {
+      const polyline = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(
+          line.map((p) => new THREE.Vector3(...p))
+        ),
+        new THREE.LineBasicMaterial({ color: 0x00ff88, depthTest: false })
+      );
+      polyline.renderOrder = 1;
+      const label = this.createTextSprite(text);
+      label.position.fromArray(textPosition);
+      this.measureGroup.add(polyline, label);
+    }
+    for (const position of pending) {
+      const marker = this.createPickMarker(0x00ff88);
+      marker.position.fromArray(position);
+      this.measureGroup.add(marker);
+    }
+  }
+
+  clearGroup(group, shouldRemove = () => true) {
+    for (const child of [...group.children]) {
+      if (!shouldRemove(child)) continue;
+      group.remove(child);
+      if (!child.isSprite) child.geometry.dispose(); // Sprites share theirs
+      if (child.material.map) child.material.map.dispose();
+      child.material.dispose();
+    }
   }
 
-  updateDynamicPointColors(colors) {
-    if (!this.points || !colors) return;
-    this.points.geometry.attributes.color.array.set(colors);
-    this.points.geometry.attributes.color.needsUpdate = true;
+  // style: { shape: "square" | "round", shading, edl }, any subset
+  setPointStyle({ edl, ...style }) {
+    Object.assign(this.pointStyle, style);
+    for (const [points] of this.getClouds()) points.material.setStyle(style);
+    if (edl !== undefined && edl !== Boolean(this.eyeDome)) {
+      if (this.eyeDome) this.eyeDome.dispose();
+      this.eyeDome = edl ? new EyeDomePass() : null;
+    }
   }
 
-  updateStaticPointColors(colors) {
-    if (!this.staticPoints || !colors) return;
-    this.staticPoints.geometry.attributes.color.array.set(colors);
-    this.staticPoints.geometry.attributes.color.needsUpdate = true;
+  updatePointSize(size) {
+    this.pointSize = size;
+    if (this.points) this.points.material.size = size;
+    if (this.staticPoints) this.staticPoints.material.size = size;
+    for (const child of [
+      ...this.pickGroup.children,
+      ...this.measureGroup.children,
+    ]) {
+      if (child.isMesh) this.scalePickMarker(child);
+    }
   }
 
   setBackgroundColor(color) {
@@ -272,39 +1036,152 @@ export class Viewer3D {
 
   updateCameraAspect() {
     const rect = this.container.getBoundingClientRect();
-    this.camera.aspect = rect.width / rect.height;
-    this.camera.updateProjectionMatrix();
+    const width = this.comparisonMode === "split" ? rect.width / 2 : rect.width;
+    this.controls.updateAspect(width / rect.height);
     this.renderer.setSize(rect.width, rect.height);
   }
 
   resetView() {
+    const camera = this.perspectiveCamera;
     const box = new THREE.Box3();
-    if (this.staticPoints.geometry.drawRange.count > 0) {
-      this.staticPoints.geometry.computeBoundingBox();
-      box.union(this.staticPoints.geometry.boundingBox);
-    }
-    if (this.points.geometry.drawRange.count > 0) {
-      this.points.geometry.computeBoundingBox();
-      box.union(this.points.geometry.boundingBox);
-    }
+    // The octree knows the whole cloud, not just what is drawn from here
+    const octree = this.staticPoints.userData.octree;
+    if (octree) box.copy(octree.bounds);
+    else this.expandByDrawnPoints(box, this.staticPoints);
+    this.expandByDrawnPoints(box, this.points);
 
     if (!box.isEmpty()) {
+      this.setColorRanges(box);
+      this.clipping.setBounds(box);
       box.getCenter(this.cameraTarget);
       const size = box.getSize(new THREE.Vector3());
       const distance = Math.max(size.x, size.y, size.z) * 1.5;
-      this.camera.position
+      camera.position
         .copy(this.cameraTarget)
         .add(new THREE.Vector3(0, distance * 0.5, distance));
     } else {
       this.cameraTarget.set(0, 0, 0);
-      this.camera.position.set(5, 5, 5);
+      camera.position.set(5, 5, 5);
     }
 
+    camera.lookAt(this.cameraTarget);
+    this.controls.sync();
+  }
+
+  // Buffers have room past the draw range, so bounding boxes are taken here
+  expandByDrawnPoints(box, points) {
+    const positions = points.geometry.attributes.position.array;
+    const point = new THREE.Vector3();
+    for (let i = 0; i < points.geometry.drawRange.count; i++)
+      box.expandByPoint(point.fromArray(positions, i * 3));
+  }
+
+  // --- Capture ---
+
+  // Renders at scale times the screen resolution, optionally without the
+  // background, and without the focus and hover markers or clipping gizmos
+  // until endCapture()
+  beginCapture({ scale = 1, transparent = false } = {}) {
+    const renderer = this.renderer;
+    this.captureRestore = {
+      pixelRatio: renderer.getPixelRatio(),
+      background: this.scene.background,
+      clearColor: renderer.getClearColor(new THREE.Color()),
+      clearAlpha: renderer.getClearAlpha(),
+      indicatorVisible: this.targetIndicator.visible,
+      hoverVisible: this.hoverMarker.visible,
+      gizmosVisible: this.clipping.group.visible,
+    };
+    renderer.setPixelRatio(this.captureRestore.pixelRatio * scale);
+    if (transparent) {
+      this.scene.background = null;
+      renderer.setClearColor(0x000000, 0);
+    }
+    this.targetIndicator.visible = false;
+    this.hoverMarker.visible = false;
+    this.clipping.group.visible = false;
+  }
+
+  endCapture() {
+    const restore = this.captureRestore;
+    if (!restore) return;
+    this.captureRestore = null;
+    this.renderer.setPixelRatio(restore.pixelRatio);
+    this.scene.background = restore.background;
+    this.renderer.setClearColor(restore.clearColor, restore.clearAlpha);
+    this.targetIndicator.visible = restore.indicatorVisible;
+    this.hoverMarker.visible = restore.hoverVisible;
+    this.clipping.group.visible = restore.gizmosVisible;
+  }
+
+  // Renders and resolves with a PNG of the canvas. The canvas is read before
+  // this returns, so capture settings may be restored right away.
+  captureImage(dt = null) {
+    this.render(dt);
+    return new Promise((resolve) =>
+      this.renderer.domElement.toBlob(resolve, "image/png")
+    );
+  }
+
+  render(dt = null) {
+    this.controls.update(dt);
+    this.updateLevelOfDetail();
     this.targetIndicator.position.copy(this.cameraTarget);
-    this.camera.lookAt(this.cameraTarget);
+    const height = this.renderer.getSize(new THREE.Vector2()).y;
+    const size = this.camera.isOrthographicCamera
+      ? this.getOrthographicPointSize(height)
+      : this.pointSize;
+    const pixelRatio = this.renderer.getPixelRatio();
+    for (const [points] of this.getClouds()) {
+      points.material.size = size;
+      points.material.setViewport(height, pixelRatio);
+    }
+    this.clipping.scaleHandles(this.camera);
+
+    // Eye-dome lighting renders the scene off screen first
+    const target = this.eyeDome ? this.eyeDome.target : null;
+    if (target) {
+      this.eyeDome.setSize(this.renderer);
+      this.renderer.setRenderTarget(target);
+    }
+    if (this.comparisonMode === "split") this.renderSplit(target);
+    else this.renderer.render(this.scene, this.camera);
+    if (target) this.eyeDome.render(this.renderer, this.camera);
   }
 
-  render() {
-    this.renderer.render(this.scene, this.camera);
+  // Primary scene on the left, comparison on the right, one camera. Into a
+  // render target, if given, instead of the canvas.
+  renderSplit(target = null) {
+    const renderer = this.renderer;
+    const camera = this.camera;
+    const { width, height } = renderer.getSize(new THREE.Vector2());
+    const half = width / 2;
+    renderer.setScissorTest(true);
+    [PRIMARY_LAYER, COMPARISON_LAYER].forEach((layer, i) => {
+      if (target) {
+        // Render targets keep their own viewport, in device pixels
+        const targetHalf = target.width / 2;
+        target.viewport.set(i * targetHalf, 0, targetHalf, target.height);
+        target.scissor.copy(target.viewport);
+        target.scissorTest = true;
+        renderer.setRenderTarget(target);
+      } else {
+        renderer.setViewport(i * half, 0, half, height);
+        renderer.setScissor(i * half, 0, half, height);
+      }
+      camera.layers.disable(PRIMARY_LAYER);
+      camera.layers.disable(COMPARISON_LAYER);
+      camera.layers.enable(layer);
+      renderer.render(this.scene, camera);
+    });
+    camera.layers.enable(PRIMARY_LAYER);
+    if (target) {
+      target.viewport.set(0, 0, target.width, target.height);
+      target.scissor.copy(target.viewport);
+      target.scissorTest = false;
+      renderer.setRenderTarget(target);
+    }
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, width, height);
   }
 }